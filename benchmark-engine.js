@@ -0,0 +1,27 @@
+const { Simulation } = require('./sand-engine.js');
+
+// Time Simulation.update() on a few grid sizes. Each size runs from the same
+// seed, so results are comparable between runs and between engine versions.
+// Usage: node benchmark-engine.js [frames]
+
+const frames = Number(process.argv[2]) || 100;
+const warmupFrames = 10;
+const sizes = [
+  [150, 100],
+  [300, 200],
+  [600, 400]
+];
+
+console.log(`Simulation.update(), ${frames} frames per size after ${warmupFrames} warm-up frames`);
+
+for (const [width, height] of sizes) {
+  const sim = new Simulation({ width, height, seed: 1, auditInterval: 0 });
+  for (let i = 0; i < warmupFrames; i++) sim.update();
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < frames; i++) sim.update();
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+  const perFrame = elapsed / frames;
+  console.log(`  ${`${width}x${height}`.padEnd(8)} ${perFrame.toFixed(2).padStart(8)} ms/frame  ${(1000 / perFrame).toFixed(1).padStart(7)} fps`);
+}
@@ -38,6 +38,10 @@ const SPH_PARAMS = {
   PARTICLE_MASS: 1.0
 };
 
+// Seeded PRNG shared with the other simulations (global from seeded-random.js)
+
+// Contour tracing and Chaikin smoothing shared with the sand-art page (globals from contours.js)
+
 // SPH Kernel Functions
 // Poly6 kernel for density and pressure
 const poly6Kernel = (r, h) => {
@@ -83,6 +87,8 @@ const BubbleSimulator = () => {
   const [airPercentage, setAirPercentage] = useState(8); // Default 8% air in system
   const [surfaceTension, setSurfaceTension] = useState(0.5); // Controls bubble merging/separation
   const [restartKey, setRestartKey] = useState(0); // Used to trigger grid re-initialization
+  const [seed, setSeed] = useState(() => SeededRandom.randomSeed()); // Same seed + settings replays a run
+  const randomRef = useRef(null); // Created from the seed when the grid is initialized
   const animationRef = useRef(null);
   const gridRef = useRef([]);
   const velocityRef = useRef([]);
@@ -97,6 +103,10 @@ const BubbleSimulator = () => {
     canvas.width = gridWidth * voxelScale;
     canvas.height = gridHeight * voxelScale;
 
+    // Restart the random sequence so this run can be replayed from its seed
+    randomRef.current = new SeededRandom(seed);
+    const random = randomRef.current;
+
     // Initialize voxel grid - fill with water first, then add air at bottom
     const grid = [];
     const velocity = [];
@@ -164,7 +174,7 @@ const BubbleSimulator = () => {
 
         // Shuffle neighbors for random growth pattern
         for (let i = neighbors.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
+          const j = Math.floor(random.next() * (i + 1));
           [neighbors[i], neighbors[j]] = [neighbors[j], neighbors[i]];
         }
         for (const neighbor of neighbors) {
@@ -181,8 +191,8 @@ const BubbleSimulator = () => {
     forcesRef.current = forces;
     voxelLogRef.current = []; // Clear log on reset
 
-    console.log(`Initialized grid: ${totalVoxels} total voxels, ${airVoxelsPlaced} air voxels (${(airVoxelsPlaced / totalVoxels * 100).toFixed(2)}%)`);
-  }, [gridWidth, gridHeight, voxelScale, airPercentage, restartKey]);
+    console.log(`Initialized grid: ${totalVoxels} total voxels, ${airVoxelsPlaced} air voxels (${(airVoxelsPlaced / totalVoxels * 100).toFixed(2)}%), seed ${seed}`);
+  }, [gridWidth, gridHeight, voxelScale, airPercentage, restartKey, seed]);
 
   // Main simulation loop
   useEffect(() => {
@@ -190,6 +200,7 @@ const BubbleSimulator = () => {
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
     let lastTime = performance.now();
+    const random = randomRef.current;
 
     // Helper function to check if position is within bounds
     const inBounds = (x, y) => {
@@ -571,7 +582,7 @@ const BubbleSimulator = () => {
               const connectivityPenalty = (connectedNeighborsBefore - connectedNeighborsAfter) * 0.8;
               riseProb *= Math.max(0.05, 1.0 - connectivityPenalty);
             }
-            if (Math.random() < Math.min(0.95, riseProb)) {
+            if (random.next() < Math.min(0.95, riseProb)) {
               newGrid[y - 1][x] = VOXEL_AIR;
               newGrid[y][x] = VOXEL_WATER;
               // Transfer velocity
@@ -597,7 +608,7 @@ const BubbleSimulator = () => {
               // Try to spread sideways based on velocity
               const horizontalVel = velocity[y][x].vx;
               // Prefer direction of velocity, or random if velocity is low
-              const dir = Math.abs(horizontalVel) > 0.1 ? horizontalVel > 0 ? 1 : -1 : Math.random() < 0.5 ? 1 : -1;
+              const dir = Math.abs(horizontalVel) > 0.1 ? horizontalVel > 0 ? 1 : -1 : random.next() < 0.5 ? 1 : -1;
               const nx = x + dir;
               if (inBounds(nx, y) && grid[y][nx] === VOXEL_WATER && !processed[y][nx]) {
                 let moveProb = 0.2 * (1 + Math.abs(horizontalVel) * 2);
@@ -691,7 +702,7 @@ const BubbleSimulator = () => {
                   const connectivityPenalty = (connectedNeighborsBefore - connectedNeighborsAfter) * 0.9;
                   moveProb *= Math.max(0.02, 1.0 - connectivityPenalty);
                 }
-                if (Math.random() < Math.min(0.7, moveProb)) {
+                if (random.next() < Math.min(0.7, moveProb)) {
                   newGrid[y][nx] = VOXEL_AIR;
                   newGrid[y][x] = VOXEL_WATER;
                   const tempVel = newVelocity[y][x];
@@ -716,7 +727,7 @@ const BubbleSimulator = () => {
             // Use velocity magnitude to determine probability
             const downwardVelocity = velocity[y][x].vy; // Positive vy is downward
             const fallProb = 0.85 + Math.max(0, downwardVelocity) * 0.15;
-            if (Math.random() < Math.min(0.98, fallProb)) {
+            if (random.next() < Math.min(0.98, fallProb)) {
               newGrid[y + 1][x] = VOXEL_WATER;
               newGrid[y][x] = VOXEL_AIR;
               const tempVel = newVelocity[y][x];
@@ -772,136 +783,20 @@ const BubbleSimulator = () => {
       }
     };
 
-    // Moore-Neighbor tracing algorithm to extract bubble boundary
-    // Traces the outer edge of a connected component of air voxels
+    // Outer edge of a bubble, traced with the shared Moore-neighbor tracer (contours.js)
     const traceBubbleContour = bubble => {
       if (bubble.length === 0) return [];
-      const grid = gridRef.current;
       const bubbleSet = new Set(bubble.map(p => `${p.x},${p.y}`));
 
-      // Find a starting point (topmost, then leftmost air voxel at boundary)
+      // Tracing starts from the topmost, then leftmost air voxel
       let start = bubble[0];
       for (const pos of bubble) {
-        // Check if this is a boundary voxel (has water neighbor)
-        let isBoundary = false;
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            const nx = pos.x + dx;
-            const ny = pos.y + dy;
-            if (inBounds(nx, ny) && grid[ny][nx] === VOXEL_WATER) {
-              isBoundary = true;
-              break;
-            }
-          }
-          if (isBoundary) break;
-        }
-        if (isBoundary && (pos.y < start.y || pos.y === start.y && pos.x < start.x)) {
+        if (pos.y < start.y || pos.y === start.y && pos.x < start.x) {
           start = pos;
         }
       }
-
-      // Moore neighborhood (8-connected, clockwise from top)
-      const directions = [{
-        dx: 0,
-        dy: -1
-      },
-      // N
-      {
-        dx: 1,
-        dy: -1
-      },
-      // NE
-      {
-        dx: 1,
-        dy: 0
-      },
-      // E
-      {
-        dx: 1,
-        dy: 1
-      },
-      // SE
-      {
-        dx: 0,
-        dy: 1
-      },
-      // S
-      {
-        dx: -1,
-        dy: 1
-      },
-      // SW
-      {
-        dx: -1,
-        dy: 0
-      },
-      // W
-      {
-        dx: -1,
-        dy: -1
-      } // NW
-      ];
-      const contour = [];
-      let current = start;
-      let dirIdx = 6; // Start looking west (since we want to go counter-clockwise around air)
       const maxSteps = bubble.length * 4; // Prevent infinite loops
-      let steps = 0;
-      do {
-        contour.push({
-          x: current.x,
-          y: current.y
-        });
-
-        // Look for next boundary pixel
-        let found = false;
-        for (let i = 0; i < 8; i++) {
-          const checkIdx = (dirIdx + i) % 8;
-          const dir = directions[checkIdx];
-          const nx = current.x + dir.dx;
-          const ny = current.y + dir.dy;
-          if (inBounds(nx, ny) && bubbleSet.has(`${nx},${ny}`)) {
-            current = {
-              x: nx,
-              y: ny
-            };
-            // Turn left (counter-clockwise) to stay along the edge
-            dirIdx = (checkIdx + 6) % 8;
-            found = true;
-            break;
-          }
-        }
-        if (!found) break;
-        steps++;
-      } while ((current.x !== start.x || current.y !== start.y) && steps < maxSteps);
-      return contour;
-    };
-
-    // Chaikin's corner cutting algorithm for path smoothing
-    // Applies multiple iterations to create smooth curves (surface tension simulation)
-    const smoothPath = (path, iterations = 2) => {
-      if (path.length < 3) return path;
-      let smoothed = [...path];
-      for (let iter = 0; iter < iterations; iter++) {
-        const newPath = [];
-        for (let i = 0; i < smoothed.length; i++) {
-          const p1 = smoothed[i];
-          const p2 = smoothed[(i + 1) % smoothed.length];
-
-          // Cut corners: place points at 1/4 and 3/4 along each segment
-          const q = {
-            x: 0.75 * p1.x + 0.25 * p2.x,
-            y: 0.75 * p1.y + 0.25 * p2.y
-          };
-          const r = {
-            x: 0.25 * p1.x + 0.75 * p2.x,
-            y: 0.25 * p1.y + 0.75 * p2.y
-          };
-          newPath.push(q);
-          newPath.push(r);
-        }
-        smoothed = newPath;
-      }
-      return smoothed;
+      return traceContour(start, (x, y) => inBounds(x, y) && bubbleSet.has(`${x},${y}`), maxSteps);
     };
 
     // Render
@@ -1021,7 +916,7 @@ const BubbleSimulator = () => {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isRunning, gridWidth, gridHeight, voxelScale, gravity, convection, surfaceTension, airPercentage]);
+  }, [isRunning, gridWidth, gridHeight, voxelScale, gravity, convection, surfaceTension, airPercentage, restartKey, seed]);
 
   // Function to save voxel drift log to a file
   const saveVoxelLog = () => {
@@ -1283,7 +1178,53 @@ const BubbleSimulator = () => {
       opacity: 0.75,
       marginBottom: 0
     }
-  }, "Bubbles push water aside")), /*#__PURE__*/React.createElement("button", {
+  }, "Bubbles push water aside")), /*#__PURE__*/React.createElement("div", {
+    style: {
+      marginBottom: '16px'
+    }
+  }, /*#__PURE__*/React.createElement("label", {
+    style: {
+      fontSize: '14px',
+      display: 'block',
+      marginBottom: '8px'
+    }
+  }, "Seed: ", seed), /*#__PURE__*/React.createElement("div", {
+    style: {
+      display: 'flex',
+      gap: '8px'
+    }
+  }, /*#__PURE__*/React.createElement("input", {
+    type: "number",
+    min: "0",
+    step: "1",
+    value: seed,
+    onChange: e => {
+      const parsed = SeededRandom.parseSeed(e.target.value);
+      if (parsed !== null) setSeed(parsed);
+    },
+    style: {
+      flex: 1,
+      minWidth: 0
+    }
+  }), /*#__PURE__*/React.createElement("button", {
+    onClick: () => setSeed(SeededRandom.randomSeed()),
+    style: {
+      padding: '4px 10px',
+      backgroundColor: '#666',
+      color: 'white',
+      border: 'none',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      fontSize: '12px'
+    }
+  }, "New")), /*#__PURE__*/React.createElement("p", {
+    style: {
+      fontSize: '11px',
+      marginTop: '4px',
+      opacity: 0.75,
+      marginBottom: 0
+    }
+  }, "Same seed and settings replay the same run")), /*#__PURE__*/React.createElement("button", {
     onClick: () => setIsRunning(!isRunning),
     style: {
       padding: '10px 16px',
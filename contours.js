@@ -0,0 +1,79 @@
+// Outline tracing and smoothing shared by the sand-art and bubble pages
+// Bubbles are traced as cell paths with Moore-neighbor tracing, then rounded off
+// with Chaikin corner cutting so they read as air pockets rather than staircases.
+
+// Moore neighborhood (8-connected, clockwise from north)
+const MOORE_DIRECTIONS = [
+    { dx: 0, dy: -1 },  // N
+    { dx: 1, dy: -1 },  // NE
+    { dx: 1, dy: 0 },   // E
+    { dx: 1, dy: 1 },   // SE
+    { dx: 0, dy: 1 },   // S
+    { dx: -1, dy: 1 },  // SW
+    { dx: -1, dy: 0 },  // W
+    { dx: -1, dy: -1 }  // NW
+];
+
+// Trace the outer edge of a connected group of cells, returning the cells along it
+// in order. `contains(x, y)` says whether a cell is in the group (and must be false
+// out of bounds); `start` must be the group's topmost, then leftmost cell, which is
+// always on the outer edge. `maxSteps` guards against malformed groups.
+function traceContour(start, contains, maxSteps) {
+    const contour = [];
+    let current = start;
+    let dirIdx = 6; // Start looking west, since nothing lies above or left of start
+    let steps = 0;
+
+    do {
+        contour.push({ x: current.x, y: current.y });
+
+        // Look for the next edge cell
+        let found = false;
+        for (let i = 0; i < 8; i++) {
+            const checkIdx = (dirIdx + i) % 8;
+            const dir = MOORE_DIRECTIONS[checkIdx];
+            const nx = current.x + dir.dx;
+            const ny = current.y + dir.dy;
+
+            if (contains(nx, ny)) {
+                current = { x: nx, y: ny };
+                // Turn left (counter-clockwise) to stay along the edge
+                dirIdx = (checkIdx + 6) % 8;
+                found = true;
+                break;
+            }
+        }
+
+        if (!found) break;
+        steps++;
+    } while ((current.x !== start.x || current.y !== start.y) && steps < maxSteps);
+
+    return contour;
+}
+
+// Chaikin's corner cutting on a closed path: each iteration replaces every segment
+// with points 1/4 and 3/4 along it, doubling the points and rounding the corners
+function smoothPath(path, iterations = 2) {
+    if (path.length < 3) return path;
+
+    let smoothed = path;
+    for (let iter = 0; iter < iterations; iter++) {
+        const newPath = [];
+
+        for (let i = 0; i < smoothed.length; i++) {
+            const p1 = smoothed[i];
+            const p2 = smoothed[(i + 1) % smoothed.length];
+            newPath.push({ x: 0.75 * p1.x + 0.25 * p2.x, y: 0.75 * p1.y + 0.25 * p2.y });
+            newPath.push({ x: 0.25 * p1.x + 0.75 * p2.x, y: 0.25 * p1.y + 0.75 * p2.y });
+        }
+
+        smoothed = newPath;
+    }
+
+    return smoothed;
+}
+
+// Browser pages get these as globals from this script; Node can require them
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MOORE_DIRECTIONS, traceContour, smoothPath };
+}
@@ -0,0 +1,3060 @@
+// Sand-art simulation engine
+// Grid state, stepping and physics helpers with no DOM or browser globals, so the
+// same engine can be driven by the page in simulation.js or stepped headlessly in Node.
+
+// Default grid dimensions (150x100 cells)
+const GRID_WIDTH = 150;
+const GRID_HEIGHT = 100;
+
+// Shared modules: globals from earlier <script> tags in the browser, require() in Node
+const PRNG = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./seeded-random.js').SeededRandom;
+
+// Physics Constants: the values each Simulation starts its own `params` from
+// (see Simulation.setParams)
+const DEFAULT_PHYSICS_PARAMS = Object.freeze({
+    SURFACE_TENSION_FACTOR: 2.0,  // Increased to allow taller clusters before splitting
+    MERGE_DISTANCE: 3,  // Increased merge distance for better clustering
+    ANGLE_OF_REPOSE: 35,  // Degrees; for granular materials that don't set their own
+    REPOSE_REACH: 5,  // Cells to either side a grain looks when measuring the slope it rests on
+    SAND_FRICTION_MIN: 0.3,
+    SAND_FRICTION_MAX: 0.5,
+    SAND_MASS_MIN: 1.0,
+    SAND_MASS_MAX: 1.5,
+    GAP_SIZE: 0.8,
+    WATER_DRAG: 0.95,  // Drag on sinking grains (see SandPhysics.applyWaterDrag)
+    GRAVITY: 0.05,  // Fall acceleration in cells per step per step, before buoyancy
+    MAX_FALL_SPEED: 4,  // Cells per step; also bounds free fall through empty space
+    BUBBLE_SEARCH_RADIUS: 3,
+    BUOYANCY: 0.25,  // Increased for faster bubble rising
+    SPREAD_FORCE: 0.2,  // Increased for better horizontal spreading
+    COHESION: 0.1,  // Increased cohesion
+    SETTLING_RATE: 0.8,  // Chance per step that the heaviest sand sinks sideways through water
+    PRESSURE_BUILD: 0.01,  // Pressure trapped air gains per step, scaled up for bigger and deeper pockets
+    OVERBURDEN_STRENGTH: 1,  // Pressure a pocket needs per cell of sand over it to burst through
+    WET_COHESION: 0.8,  // Pull of the water bridges between wet grains at an air pocket (see Simulation.updateWetness)
+    WETTING_RATE: 0.25,  // Wetness a grain gains per step touching water
+    DRYING_RATE: 0.005,  // Wetness a grain loses per step touching only air
+    FLOW_SPREAD: 0.5,  // Share of its flow water trades with the water around it each step (see FlowField)
+    FLOW_DECAY: 0.9,  // Flow left after each step
+    EROSION_SPEED: 0.4  // Current in cells per step that lifts a grain, per unit of its weight in water
+});
+
+// [min, max] each physics parameter is held to. Far outside these a step crawls or
+// hangs, e.g. a huge search radius or repose reach scans the whole grid per grain.
+const PARAM_LIMITS = Object.freeze({
+    SURFACE_TENSION_FACTOR: [0.5, 10],
+    MERGE_DISTANCE: [0, 20],
+    ANGLE_OF_REPOSE: [0, 89],
+    REPOSE_REACH: [1, 20],
+    SAND_FRICTION_MIN: [0, 1],
+    SAND_FRICTION_MAX: [0, 1],
+    SAND_MASS_MIN: [0.1, 10],
+    SAND_MASS_MAX: [0.1, 10],
+    GAP_SIZE: [0, 2],
+    WATER_DRAG: [0, 1],
+    GRAVITY: [0, 1],
+    MAX_FALL_SPEED: [1, 10],
+    BUBBLE_SEARCH_RADIUS: [1, 20],
+    BUOYANCY: [0, 1],
+    SPREAD_FORCE: [0, 1],
+    COHESION: [0, 1],
+    SETTLING_RATE: [0, 1],
+    PRESSURE_BUILD: [0, 1],
+    OVERBURDEN_STRENGTH: [0, 100],
+    WET_COHESION: [0, 1],
+    WETTING_RATE: [0, 1],
+    DRYING_RATE: [0, 1],
+    FLOW_SPREAD: [0, 1],
+    FLOW_DECAY: [0, 1],
+    EROSION_SPEED: [0, 10]
+});
+
+// Why a physics parameter value can't be used, or null if it can
+function checkParam(key, value) {
+    if (!(key in DEFAULT_PHYSICS_PARAMS)) return `Unknown physics parameter: ${key}`;
+    if (!Number.isFinite(value)) return `Physics parameter ${key} must be a number`;
+    const [min, max] = PARAM_LIMITS[key];
+    if (value < min || value > max) return `Physics parameter ${key} must be between ${min} and ${max}`;
+    return null;
+}
+
+// Parameters older scene files may still carry; they are ignored on load
+const RETIRED_PARAMS = ['MAX_SLOPE_RATIO'];
+
+// How a material moves. Each phase has a default behavior (see MaterialRegistry).
+const PHASES = {
+    NONE: 'none',           // Empty space; never moves by itself
+    GRANULAR: 'granular',   // Falls, piles and slides (sand)
+    LIQUID: 'liquid',       // Sinks by density and spreads sideways (water)
+    GAS: 'gas',             // Rises through denser material (air)
+    SOLID: 'solid'          // Never moves and can't be displaced
+};
+
+// Order materials are listed in the brush palette
+const PHASE_ORDER = [PHASES.GRANULAR, PHASES.LIQUID, PHASES.GAS, PHASES.SOLID, PHASES.NONE];
+
+// Lookup tables keyed by material ID. They stay in sync with MATERIALS, so
+// code that only needs a name, color or density can keep using them.
+const PARTICLE_TYPES = {};   // Name -> material ID
+const PARTICLE_COLORS = {};  // Material ID -> CSS color
+const PARTICLE_DENSITY = {}; // Material ID -> density (higher = heavier)
+
+// Registry of grid materials. A material's behavior is called once per step for
+// each of its cells; it is either the name of a behavior registered with
+// defineBehavior (by default the material's phase) or a function taking
+// (simulation, x, y, step) - see Simulation.updateParticle for what step holds.
+class MaterialRegistry {
+    constructor() {
+        this.byId = [];
+        this.behaviors = {};
+    }
+    
+    defineBehavior(name, update) {
+        if (typeof update !== 'function') {
+            throw new TypeError(`Behavior ${name} must be a function`);
+        }
+        this.behaviors[name] = update;
+    }
+    
+    // Add a material and return its ID. `friction` and `mass` are [min, max] ranges
+    // for granular materials; without them grains use the simulation's sand ranges
+    // (params). `repose` is a granular material's angle of repose in degrees (default
+    // params.ANGLE_OF_REPOSE).
+    register(name, definition) {
+        if (name in PARTICLE_TYPES) {
+            throw new Error(`Material ${name} is already registered`);
+        }
+        const id = definition.id !== undefined ? definition.id : this.byId.length;
+        if (!Number.isInteger(id) || id < 0 || id > 255 || this.byId[id]) {
+            throw new RangeError(`Invalid or taken material ID for ${name}: ${id}`);
+        }
+        if (!Object.values(PHASES).includes(definition.phase)) {
+            throw new TypeError(`Unknown phase for ${name}: ${definition.phase}`);
+        }
+        if (!Number.isFinite(definition.density) || typeof definition.color !== 'string') {
+            throw new TypeError(`Material ${name} needs a numeric density and a color`);
+        }
+        if (definition.repose !== undefined && definition.repose !== null &&
+            !(definition.repose > 0 && definition.repose < 90)) {
+            throw new RangeError(`Angle of repose for ${name} must be between 0 and 90 degrees`);
+        }
+        const behavior = definition.behavior || definition.phase;
+        if (typeof behavior !== 'function' && !(behavior in this.behaviors)) {
+            throw new TypeError(`Unknown behavior for ${name}: ${behavior}`);
+        }
+        
+        this.byId[id] = {
+            id,
+            name,
+            label: definition.label || name,
+            phase: definition.phase,
+            density: definition.density,
+            color: definition.color,
+            friction: definition.friction || null,
+            mass: definition.mass || null,
+            repose: definition.repose !== undefined ? definition.repose : null,
+            behavior
+        };
+        PARTICLE_TYPES[name] = id;
+        PARTICLE_COLORS[id] = definition.color;
+        PARTICLE_DENSITY[id] = definition.density;
+        return id;
+    }
+    
+    has(id) {
+        return this.byId[id] !== undefined;
+    }
+    
+    get(id) {
+        return this.byId[id];
+    }
+    
+    // All materials in ID order
+    all() {
+        return this.byId.filter(Boolean);
+    }
+    
+    phaseOf(id) {
+        return this.byId[id].phase;
+    }
+    
+    getBehavior(id) {
+        const behavior = this.byId[id].behavior;
+        return typeof behavior === 'function' ? behavior : this.behaviors[behavior];
+    }
+}
+
+const MATERIALS = new MaterialRegistry();
+
+// Built-in behaviors; the update methods live on Simulation
+MATERIALS.defineBehavior(PHASES.NONE, () => {});
+MATERIALS.defineBehavior(PHASES.SOLID, () => {});
+MATERIALS.defineBehavior(PHASES.GRANULAR, (sim, x, y, step) => sim.updateGranular(x, y, step));
+MATERIALS.defineBehavior(PHASES.LIQUID, (sim, x, y, step) => sim.updateLiquid(x, y, step));
+MATERIALS.defineBehavior(PHASES.GAS, (sim, x, y, step) => sim.updateGas(x, y, step));
+
+// Built-in materials (IDs are stored in scene files, so they must not change)
+MATERIALS.register('EMPTY', { id: 0, label: 'Empty', phase: PHASES.NONE, density: 0, color: '#1a1a2e' });
+MATERIALS.register('WATER', { id: 1, label: 'Water', phase: PHASES.LIQUID, density: 1000, color: '#4a90e2' });
+MATERIALS.register('SAND_HEAVY', { id: 2, label: 'Heavy sand', phase: PHASES.GRANULAR, density: 2500, color: '#8b4513', repose: 38 });
+MATERIALS.register('SAND_MEDIUM', { id: 3, label: 'Medium sand', phase: PHASES.GRANULAR, density: 2200, color: '#a0522d', repose: 33 });
+MATERIALS.register('SAND_LIGHT', { id: 4, label: 'Light sand', phase: PHASES.GRANULAR, density: 1900, color: '#daa520', repose: 28 });
+MATERIALS.register('AIR', { id: 5, label: 'Air', phase: PHASES.GAS, density: 1, color: '#e0e0e0' });
+MATERIALS.register('WALL', { id: 6, label: 'Wall', phase: PHASES.SOLID, density: 3000, color: '#6b6b7b' });
+MATERIALS.register('GATE', { id: 7, label: 'Gate', phase: PHASES.SOLID, density: 3000, color: '#b08d57' });
+
+// Particle properties storage. Friction, mass, fall speed (cells per step along
+// gravity) and wetness (0 dry to 1 soaked) live in flat arrays indexed like the
+// grid (y * width + x); cells without a grain hold 0.
+class ParticleProperties {
+    constructor(width, height) {
+        this.width = width;
+        this.friction = new Float64Array(width * height);
+        this.mass = new Float64Array(width * height);
+        this.velocity = new Float64Array(width * height);
+        this.wetness = new Float64Array(width * height);
+        this.pressure = new Float64Array(width * height); // Gas cells only (see Simulation.buildPressure)
+    }
+    
+    // New grains start soaked and at rest unless told otherwise
+    setProperties(x, y, friction, mass, velocity = 0, wetness = 1) {
+        const i = y * this.width + x;
+        this.friction[i] = friction;
+        this.mass[i] = mass;
+        this.velocity[i] = velocity;
+        this.wetness[i] = wetness;
+    }
+    
+    getProperties(x, y) {
+        const i = y * this.width + x;
+        return {
+            friction: this.friction[i] || 0.4,
+            mass: this.mass[i] || 1.2,
+            velocity: this.velocity[i],
+            wetness: this.wetness[i]
+        };
+    }
+    
+    setVelocity(x, y, velocity) {
+        this.velocity[y * this.width + x] = velocity;
+    }
+    
+    moveProperties(fromX, fromY, toX, toY) {
+        const from = fromY * this.width + fromX;
+        const to = toY * this.width + toX;
+        this.friction[to] = this.friction[from];
+        this.mass[to] = this.mass[from];
+        this.velocity[to] = this.velocity[from];
+        this.wetness[to] = this.wetness[from];
+        this.pressure[to] = this.pressure[from];
+        this.friction[from] = 0;
+        this.mass[from] = 0;
+        this.velocity[from] = 0;
+        this.wetness[from] = 0;
+        this.pressure[from] = 0;
+    }
+    
+    swapProperties(x1, y1, x2, y2) {
+        this.swapIndices(y1 * this.width + x1, y2 * this.width + x2);
+    }
+    
+    swapIndices(i, j) {
+        const friction = this.friction[i];
+        const mass = this.mass[i];
+        const velocity = this.velocity[i];
+        const wetness = this.wetness[i];
+        const pressure = this.pressure[i];
+        this.friction[i] = this.friction[j];
+        this.mass[i] = this.mass[j];
+        this.velocity[i] = this.velocity[j];
+        this.wetness[i] = this.wetness[j];
+        this.pressure[i] = this.pressure[j];
+        this.friction[j] = friction;
+        this.mass[j] = mass;
+        this.velocity[j] = velocity;
+        this.wetness[j] = wetness;
+        this.pressure[j] = pressure;
+    }
+    
+    deleteProperties(x, y) {
+        const i = y * this.width + x;
+        this.friction[i] = 0;
+        this.mass[i] = 0;
+        this.velocity[i] = 0;
+        this.wetness[i] = 0;
+        this.pressure[i] = 0;
+    }
+    
+    // Move every cell's properties to mapCell(x, y) after the grid is rearranged
+    remapCells(mapCell) {
+        const friction = new Float64Array(this.friction.length);
+        const mass = new Float64Array(this.mass.length);
+        const velocity = new Float64Array(this.velocity.length);
+        const wetness = new Float64Array(this.wetness.length);
+        const pressure = new Float64Array(this.pressure.length);
+        for (let i = 0; i < this.friction.length; i++) {
+            if (this.friction[i] === 0 && this.pressure[i] === 0) continue;
+            const to = mapCell(i % this.width, Math.floor(i / this.width));
+            friction[to.y * this.width + to.x] = this.friction[i];
+            mass[to.y * this.width + to.x] = this.mass[i];
+            velocity[to.y * this.width + to.x] = this.velocity[i];
+            wetness[to.y * this.width + to.x] = this.wetness[i];
+            pressure[to.y * this.width + to.x] = this.pressure[i];
+        }
+        this.friction = friction;
+        this.mass = mass;
+        this.velocity = velocity;
+        this.wetness = wetness;
+        this.pressure = pressure;
+    }
+}
+
+// Smallest flow speed kept; slower water is treated as still
+const MIN_FLOW = 1e-3;
+
+// Water velocity in cells per step, per grid cell, in flat arrays indexed like
+// the grid. Liquid pushed aside by sinking sand and rising bubbles is kicked the
+// way it moved (see Simulation.moveCell); each step the flow spreads into the
+// liquid around it and dies away, so a sinking sheet of sand drives a broad
+// current back up past it. Only liquid cells carry flow.
+class FlowField {
+    constructor(width, height, params = DEFAULT_PHYSICS_PARAMS) {
+        this.width = width;
+        this.height = height;
+        this.params = params;
+        this.x = new Float64Array(width * height);
+        this.y = new Float64Array(width * height);
+        this.nextX = new Float64Array(width * height);
+        this.nextY = new Float64Array(width * height);
+    }
+    
+    // Add a velocity to cell i
+    push(i, dx, dy) {
+        this.x[i] += dx;
+        this.y[i] += dy;
+    }
+    
+    speed(i) {
+        return Math.hypot(this.x[i], this.y[i]);
+    }
+    
+    // Spread and decay the flow for one step. Cells that aren't liquid lose theirs.
+    relax(grid) {
+        const { width, height } = this;
+        const liquid = new Uint8Array(256);
+        for (const material of MATERIALS.all()) liquid[material.id] = material.phase === PHASES.LIQUID ? 1 : 0;
+        const spread = this.params.FLOW_SPREAD;
+        const decay = this.params.FLOW_DECAY;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                this.nextX[i] = 0;
+                this.nextY[i] = 0;
+                if (!liquid[grid[i]]) continue;
+                
+                // Average flow of the liquid beside this cell
+                let sumX = 0;
+                let sumY = 0;
+                let count = 0;
+                for (const j of [i - 1, i + 1, i - width, i + width]) {
+                    if ((j === i - 1 && x === 0) || (j === i + 1 && x === width - 1) ||
+                        j < 0 || j >= grid.length || !liquid[grid[j]]) continue;
+                    sumX += this.x[j];
+                    sumY += this.y[j];
+                    count++;
+                }
+                
+                const averageX = count > 0 ? sumX / count : this.x[i];
+                const averageY = count > 0 ? sumY / count : this.y[i];
+                const flowX = ((1 - spread) * this.x[i] + spread * averageX) * decay;
+                const flowY = ((1 - spread) * this.y[i] + spread * averageY) * decay;
+                if (Math.abs(flowX) + Math.abs(flowY) >= MIN_FLOW) {
+                    this.nextX[i] = flowX;
+                    this.nextY[i] = flowY;
+                }
+            }
+        }
+        
+        [this.x, this.nextX] = [this.nextX, this.x];
+        [this.y, this.nextY] = [this.nextY, this.y];
+    }
+    
+    // Move the flow to mapCell(x, y) after the grid is rearranged, turning each
+    // velocity the same way
+    remapCells(mapCell) {
+        const origin = mapCell(0, 0);
+        this.nextX.fill(0);
+        this.nextY.fill(0);
+        for (let i = 0; i < this.x.length; i++) {
+            if (this.x[i] === 0 && this.y[i] === 0) continue;
+            const to = mapCell(i % this.width, Math.floor(i / this.width));
+            const turned = mapCell(this.x[i], this.y[i]);
+            this.nextX[to.y * this.width + to.x] = turned.x - origin.x;
+            this.nextY[to.y * this.width + to.x] = turned.y - origin.y;
+        }
+        [this.x, this.nextX] = [this.nextX, this.x];
+        [this.y, this.nextY] = [this.nextY, this.y];
+    }
+}
+
+// Bubble Cluster Class
+class BubbleCluster {
+    constructor(id, gridWidth) {
+        this.id = id;
+        this.age = 0; // Frames this bubble has been tracked
+        this.type = null; // Gas the bubble is made of, set by BubbleManager.floodFill
+        this.gridWidth = gridWidth;
+        this.cells = []; // Grid indices (y * gridWidth + x)
+        this.minX = Infinity;
+        this.maxX = -Infinity;
+        this.minY = Infinity;
+        this.maxY = -Infinity;
+    }
+    
+    addCell(x, y) {
+        this.cells.push(y * this.gridWidth + x);
+        this.minX = Math.min(this.minX, x);
+        this.maxX = Math.max(this.maxX, x);
+        this.minY = Math.min(this.minY, y);
+        this.maxY = Math.max(this.maxY, y);
+    }
+    
+    getWidth() {
+        return this.maxX - this.minX + 1;
+    }
+    
+    getHeight() {
+        return this.maxY - this.minY + 1;
+    }
+    
+    // Extent along gravity over extent across it; without a frame gravity is +y
+    getHeightWidthRatio(frame) {
+        const sideways = frame && frame.down.x !== 0;
+        const height = sideways ? this.getWidth() : this.getHeight();
+        const width = sideways ? this.getHeight() : this.getWidth();
+        return width > 0 ? height / width : 0;
+    }
+    
+    getCenterX() {
+        return (this.minX + this.maxX) / 2;
+    }
+    
+    getCenterY() {
+        return (this.minY + this.maxY) / 2;
+    }
+    
+    size() {
+        return this.cells.length;
+    }
+    
+    hasCell(x, y) {
+        return this.cells.includes(y * this.gridWidth + x);
+    }
+}
+
+// Bubble Manager Class
+class BubbleManager {
+    constructor(gridWidth, gridHeight, params = DEFAULT_PHYSICS_PARAMS) {
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        this.params = params;
+        this.clusters = [];
+        this.nextClusterId = 0;
+        
+        // Cluster identity carried between frames
+        this.owner = new Int32Array(gridWidth * gridHeight).fill(-1); // Cell -> cluster ID from the previous frame
+        this.ages = new Map();      // cluster ID -> age
+        this.merges = [];           // { id, mergedIds } recorded by the last findClusters
+        this.splits = [];           // { id, parentId } recorded by the last findClusters
+        
+        // Cell -> position in this.clusters, filled in by indexClusters
+        this.clusterIndex = new Int32Array(gridWidth * gridHeight).fill(-1);
+    }
+    
+    findClusters(grid) {
+        this.clusters = [];
+        const visited = new Uint8Array(this.gridWidth * this.gridHeight);
+        
+        for (let i = 0; i < grid.length; i++) {
+            if (MATERIALS.phaseOf(grid[i]) === PHASES.GAS && !visited[i]) {
+                const cluster = this.floodFill(grid, i, visited);
+                if (cluster.size() > 0) {
+                    this.clusters.push(cluster);
+                }
+            }
+        }
+        
+        this.trackClusters();
+        this.indexClusters();
+        return this.clusters;
+    }
+    
+    // Assign persistent IDs by overlap with last frame's clusters. Larger clusters
+    // claim first, so the bigger half of a split keeps the original ID.
+    trackClusters() {
+        const w = this.gridWidth;
+        const claimed = new Set();
+        const overlaps = new Map();
+        this.merges = [];
+        this.splits = [];
+        
+        const bySize = [...this.clusters].sort((a, b) => b.size() - a.size());
+        for (const cluster of bySize) {
+            const votes = new Map();
+            for (const i of cluster.cells) {
+                const id = this.owner[i];
+                if (id !== -1) votes.set(id, (votes.get(id) || 0) + 1);
+            }
+            // Small bubbles can move clear of their old cells; fall back to neighbors
+            if (votes.size === 0) {
+                for (const i of cluster.cells) {
+                    const x = i % w;
+                    const y = (i - x) / w;
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            const nx = x + dx;
+                            const ny = y + dy;
+                            if (nx < 0 || nx >= w || ny < 0 || ny >= this.gridHeight) continue;
+                            const id = this.owner[ny * w + nx];
+                            if (id !== -1) votes.set(id, (votes.get(id) || 0) + 1);
+                        }
+                    }
+                }
+            }
+            const candidates = [...votes.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .map(([id]) => id);
+            overlaps.set(cluster, candidates);
+            
+            const inherited = candidates.find(id => !claimed.has(id));
+            if (inherited !== undefined) {
+                cluster.id = inherited;
+                cluster.age = this.ages.get(inherited) + 1;
+            } else {
+                cluster.id = this.nextClusterId++;
+                if (candidates.length > 0) {
+                    this.splits.push({ id: cluster.id, parentId: candidates[0] });
+                }
+            }
+            claimed.add(cluster.id);
+        }
+        
+        // Previous IDs that overlap a cluster but were not carried forward were absorbed
+        const absorbed = new Set();
+        for (const cluster of bySize) {
+            const mergedIds = overlaps.get(cluster)
+                .filter(id => !claimed.has(id) && !absorbed.has(id));
+            if (mergedIds.length > 0) {
+                mergedIds.forEach(id => absorbed.add(id));
+                this.merges.push({ id: cluster.id, mergedIds });
+            }
+        }
+        
+        this.owner.fill(-1);
+        this.ages = new Map();
+        for (const cluster of this.clusters) {
+            this.ages.set(cluster.id, cluster.age);
+            for (const i of cluster.cells) {
+                this.owner[i] = cluster.id;
+            }
+        }
+    }
+    
+    // Rebuild the cell -> cluster lookup; call again after clusters are reshaped
+    indexClusters() {
+        this.clusterIndex.fill(-1);
+        this.clusters.forEach((cluster, index) => {
+            for (const i of cluster.cells) {
+                this.clusterIndex[i] = index;
+            }
+        });
+    }
+    
+    // Cluster covering (x, y) as of the last indexClusters, or undefined
+    clusterAt(x, y) {
+        const index = this.clusterIndex[y * this.gridWidth + x];
+        return index === -1 ? undefined : this.clusters[index];
+    }
+    
+    // Carry cluster identities over when the grid is rearranged (see Simulation.rotateContents)
+    remapCells(mapCell) {
+        const owner = new Int32Array(this.owner.length).fill(-1);
+        for (let i = 0; i < this.owner.length; i++) {
+            if (this.owner[i] === -1) continue;
+            const to = mapCell(i % this.gridWidth, Math.floor(i / this.gridWidth));
+            owner[to.y * this.gridWidth + to.x] = this.owner[i];
+        }
+        this.owner = owner;
+    }
+    
+    // Cells of the same gas as `start` connected to it; different gases make separate bubbles
+    floodFill(grid, start, visited) {
+        const w = this.gridWidth;
+        const cluster = new BubbleCluster(null, w);
+        cluster.type = grid[start];
+        const stack = [start];
+        
+        while (stack.length > 0) {
+            const i = stack.pop();
+            
+            if (visited[i]) continue;
+            if (grid[i] !== cluster.type) continue;
+            
+            const x = i % w;
+            const y = (i - x) / w;
+            visited[i] = 1;
+            cluster.addCell(x, y);
+            
+            // Check 4-connected neighbors
+            if (x + 1 < w) stack.push(i + 1);
+            if (x > 0) stack.push(i - 1);
+            if (y + 1 < this.gridHeight) stack.push(i + w);
+            if (y > 0) stack.push(i - w);
+        }
+        
+        return cluster;
+    }
+    
+    shouldSplitCluster(cluster, frame) {
+        return cluster.getHeightWidthRatio(frame) > this.params.SURFACE_TENSION_FACTOR;
+    }
+    
+    shouldMergeClusters(cluster1, cluster2) {
+        const dx = cluster1.getCenterX() - cluster2.getCenterX();
+        const dy = cluster1.getCenterY() - cluster2.getCenterY();
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        return distance <= this.params.MERGE_DISTANCE;
+    }
+    
+    // Pinch off tall clusters and pull nearby ones of the same gas together. Gas only
+    // trades places with liquid, so the amounts are unchanged. swap(i, j) trades two
+    // cells, and is where a caller moves anything it keeps per cell along with them.
+    // Returns true if the grid changed.
+    resolveSplitsAndMerges(grid, frame, swap = (i, j) => { [grid[i], grid[j]] = [grid[j], grid[i]]; }) {
+        let changed = false;
+        const busy = new Set();
+        
+        for (const cluster of this.clusters) {
+            const height = frame.down.x !== 0 ? cluster.getWidth() : cluster.getHeight();
+            if (height >= 3 && this.shouldSplitCluster(cluster, frame)) {
+                changed = this.splitCluster(grid, cluster, frame, swap) || changed;
+                busy.add(cluster);
+            }
+        }
+        
+        for (const [i, j] of this.findMergePairs()) {
+            const a = this.clusters[i];
+            const b = this.clusters[j];
+            if (a.type !== b.type || busy.has(a) || busy.has(b) || this.isWalledOff(grid, a, b)) continue;
+            
+            const [larger, smaller] = a.size() >= b.size() ? [a, b] : [b, a];
+            if (this.coalesceStep(grid, larger, smaller, swap)) {
+                changed = true;
+                busy.add(a);
+                busy.add(b);
+            }
+        }
+        
+        if (changed) this.indexClusters();
+        return changed;
+    }
+    
+    // Where trapped air would break out: the cluster's top cell with the thinnest
+    // layer of sand over it ({ x, y, overburden }, the most central on a tie). Null
+    // if the cluster is open to liquid anywhere on top, or sealed in by walls.
+    findVent(grid, cluster, frame) {
+        const w = this.gridWidth;
+        const center = frame.lateral(cluster.getCenterX(), cluster.getCenterY());
+        let vent = null;
+        
+        for (const i of cluster.cells) {
+            if (grid[i] !== cluster.type) continue;
+            const x = i % w;
+            const y = (i - x) / w;
+            
+            // Count the sand straight up to whatever lies on top of it
+            let overburden = 0;
+            let cell = frame.offset(x, y, -1, 0);
+            let onTop = null;
+            while (cell.x >= 0 && cell.x < w && cell.y >= 0 && cell.y < this.gridHeight) {
+                const type = grid[cell.y * w + cell.x];
+                if (MATERIALS.phaseOf(type) !== PHASES.GRANULAR) {
+                    onTop = MATERIALS.phaseOf(type);
+                    break;
+                }
+                overburden++;
+                cell = frame.offset(cell.x, cell.y, -1, 0);
+            }
+            
+            if (onTop === null || onTop === PHASES.SOLID) continue; // Sealed by a wall or the frame
+            if (overburden === 0) {
+                if (onTop === PHASES.GAS) continue; // Inside the bubble
+                return null;
+            }
+            
+            const offCenter = Math.abs(frame.lateral(x, y) - center);
+            if (!vent || overburden < vent.overburden ||
+                (overburden === vent.overburden && offCenter < vent.offCenter)) {
+                vent = { x, y, overburden, offCenter };
+            }
+        }
+        
+        return vent;
+    }
+    
+    // True if a solid cell lies on the straight line between two clusters' centers,
+    // so air can't be passed from one to the other through a wall
+    isWalledOff(grid, a, b) {
+        const fromX = a.getCenterX();
+        const fromY = a.getCenterY();
+        const dx = b.getCenterX() - fromX;
+        const dy = b.getCenterY() - fromY;
+        const steps = Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)));
+        for (let step = 1; step < steps; step++) {
+            const x = Math.round(fromX + dx * step / steps);
+            const y = Math.round(fromY + dy * step / steps);
+            if (MATERIALS.phaseOf(grid[y * this.gridWidth + x]) === PHASES.SOLID) return true;
+        }
+        return false;
+    }
+    
+    // Index pairs [i, j] (i < j, in that order) of clusters close enough to merge. A
+    // sweep over clusters sorted by center x only compares clusters that could be close.
+    findMergePairs() {
+        const order = this.clusters.map((cluster, index) => index)
+            .sort((a, b) => this.clusters[a].getCenterX() - this.clusters[b].getCenterX());
+        const pairs = [];
+        
+        for (let m = 0; m < order.length; m++) {
+            const a = this.clusters[order[m]];
+            for (let n = m + 1; n < order.length; n++) {
+                const b = this.clusters[order[n]];
+                if (b.getCenterX() - a.getCenterX() > this.params.MERGE_DISTANCE) break;
+                if (this.shouldMergeClusters(a, b)) {
+                    pairs.push(order[m] < order[n] ? [order[m], order[n]] : [order[n], order[m]]);
+                }
+            }
+        }
+        
+        return pairs.sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+    }
+    
+    // Remove the narrowest interior layer (across gravity) of a tall cluster, handing
+    // its air to the leading (upward) part so the two halves separate into distinct bubbles
+    splitCluster(grid, cluster, frame, swap) {
+        const w = this.gridWidth;
+        const layers = new Map(); // depth -> cells in that layer
+        for (const i of cluster.cells) {
+            const x = i % w;
+            const y = (i - x) / w;
+            const depth = frame.depth(x, y);
+            if (!layers.has(depth)) layers.set(depth, []);
+            layers.get(depth).push({ x, y });
+        }
+        
+        const depths = [...layers.keys()];
+        const top = Math.min(...depths);
+        const bottom = Math.max(...depths);
+        const center = (top + bottom) / 2;
+        let neck = null;
+        for (let depth = top + 1; depth < bottom; depth++) {
+            const width = layers.get(depth).length;
+            if (neck === null || width < layers.get(neck).length ||
+                (width === layers.get(neck).length && Math.abs(depth - center) < Math.abs(neck - center))) {
+                neck = depth;
+            }
+        }
+        if (neck === null) return false;
+        
+        const isLeading = (x, y) => frame.depth(x, y) < neck;
+        let moved = false;
+        
+        for (const cell of layers.get(neck)) {
+            const target = this.findLiquidNeighbor(grid, cluster, cell.x, cell.y, isLeading);
+            if (!target) continue;
+            const from = cell.y * w + cell.x;
+            const to = target.y * w + target.x;
+            swap(from, to);
+            cluster.cells.push(to);
+            cluster.cells.splice(cluster.cells.indexOf(from), 1);
+            moved = true;
+        }
+        
+        return moved;
+    }
+    
+    // Move the smaller cluster's farthest cell next to the larger cluster
+    coalesceStep(grid, larger, smaller, swap) {
+        const w = this.gridWidth;
+        const toX = larger.getCenterX();
+        const toY = larger.getCenterY();
+        let source = -1;
+        let sourceDistance = -1;
+        for (const i of smaller.cells) {
+            const x = i % w;
+            const y = (i - x) / w;
+            const distance = (x - toX) ** 2 + (y - toY) ** 2;
+            if (distance > sourceDistance) {
+                source = i;
+                sourceDistance = distance;
+            }
+        }
+        
+        const fromX = smaller.getCenterX();
+        const fromY = smaller.getCenterY();
+        const target = this.findLiquidNeighbor(grid, larger, fromX, fromY, () => true);
+        if (source === -1 || !target) return false;
+        
+        const to = target.y * w + target.x;
+        swap(source, to);
+        return true;
+    }
+    
+    // Liquid cell bordering the cluster that is closest to (nearX, nearY)
+    findLiquidNeighbor(grid, cluster, nearX, nearY, allowCell) {
+        const w = this.gridWidth;
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const i of cluster.cells) {
+            const x = i % w;
+            const y = (i - x) / w;
+            if (!allowCell(x, y)) continue;
+            
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= w || ny < 0 || ny >= this.gridHeight) continue;
+                if (!allowCell(nx, ny) || MATERIALS.phaseOf(grid[ny * w + nx]) !== PHASES.LIQUID) continue;
+                
+                const distance = (nx - nearX) ** 2 + (ny - nearY) ** 2;
+                if (distance < bestDistance) {
+                    best = { x: nx, y: ny };
+                    bestDistance = distance;
+                }
+            }
+        }
+        
+        return best;
+    }
+}
+
+// Gravity expressed in grid terms. The gravity vector is snapped to the nearest
+// grid axis ("down"); the perpendicular axis is "side", and lean is the tangent of
+// the remaining tilt toward +side, in [-1, 1]. Physics rules work in these local
+// steps, so they behave the same whichever way the frame is turned.
+class GravityFrame {
+    constructor(gravity) {
+        if (Math.abs(gravity.y) >= Math.abs(gravity.x)) {
+            this.down = { x: 0, y: gravity.y < 0 ? -1 : 1 };
+            this.side = { x: 1, y: 0 };
+            this.lean = gravity.x / Math.abs(gravity.y);
+        } else {
+            this.down = { x: gravity.x < 0 ? -1 : 1, y: 0 };
+            this.side = { x: 0, y: 1 };
+            this.lean = gravity.y / Math.abs(gravity.x);
+        }
+    }
+    
+    // Cell reached by moving `depth` steps down and `lateral` steps sideways
+    offset(x, y, depth, lateral) {
+        return {
+            x: x + this.down.x * depth + this.side.x * lateral,
+            y: y + this.down.y * depth + this.side.y * lateral
+        };
+    }
+    
+    // Position along the gravity axis (larger is lower)
+    depth(x, y) {
+        return x * this.down.x + y * this.down.y;
+    }
+    
+    // Position across the gravity axis
+    lateral(x, y) {
+        return x * this.side.x + y * this.side.y;
+    }
+    
+    // Side to try first: the low side of a tilt, chosen with probability (1 + lean) / 2
+    pickSide(random) {
+        return random.next() < 0.5 + this.lean / 2 ? 1 : -1;
+    }
+}
+
+// Sand Physics Class
+class SandPhysics {
+    constructor(gridWidth, gridHeight, random = new PRNG(), params = DEFAULT_PHYSICS_PARAMS) {
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        this.random = random;
+        this.params = params;
+    }
+    
+    inBounds(x, y) {
+        return x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight;
+    }
+    
+    // Find best path for sand particle considering obstacles
+    findBestPath(grid, x, y, frame, particleProps) {
+        const below = frame.offset(x, y, 1, 0);
+        
+        if (!this.inBounds(below.x, below.y)) return null;
+        
+        const particle = grid[y * this.gridWidth + x];
+        
+        // On a tilted frame grains also slip toward the low side as they fall
+        const leanSide = Math.sign(frame.lean);
+        if (leanSide !== 0 && this.random.next() < Math.abs(frame.lean)) {
+            const slip = frame.offset(x, y, 1, leanSide);
+            if (this.canSinkInto(grid, slip.x, slip.y, particle)) {
+                return { x: slip.x, y: slip.y, type: 'diagonal' };
+            }
+        }
+        
+        // Try straight down first
+        if (this.canSinkInto(grid, below.x, below.y, particle)) {
+            return { x: below.x, y: below.y, type: 'fall' };
+        }
+        
+        // Multi-directional pathfinding - check both diagonals
+        const first = frame.pickSide(this.random);
+        for (const side of [first, -first]) {
+            const target = frame.offset(x, y, 1, side);
+            if (this.canSinkInto(grid, target.x, target.y, particle)) {
+                return { x: target.x, y: target.y, type: 'diagonal' };
+            }
+        }
+        
+        // Search for gaps in bubble barriers
+        const gap = this.findGapInBarrier(grid, x, y, frame);
+        if (gap) return gap;
+        
+        // Check if can slide laterally based on slope
+        const lateralMove = this.tryLateralSlide(grid, x, y, particleProps.friction, frame);
+        if (lateralMove) return lateralMove;
+        
+        return null;
+    }
+    
+    canMoveTo(grid, x, y, particle) {
+        if (!this.inBounds(x, y)) return false;
+        const target = grid[y * this.gridWidth + x];
+        if (target === PARTICLE_TYPES.EMPTY) return true;
+        return particle !== undefined && this.canDisplace(particle, target);
+    }
+    
+    // Sand only displaces liquid that is less dense than the grain
+    canDisplace(particle, target) {
+        return MATERIALS.phaseOf(target) === PHASES.LIQUID &&
+               PARTICLE_DENSITY[target] < PARTICLE_DENSITY[particle];
+    }
+    
+    // Probability per step that a grain sinks through the liquid in its way.
+    // Scaled by excess density so heavy sand settles faster than light sand.
+    getSettlingRate(particle, target) {
+        if (target === PARTICLE_TYPES.EMPTY) return 1;
+        const excess = PARTICLE_DENSITY[particle] - PARTICLE_DENSITY[target];
+        const maxExcess = PARTICLE_DENSITY[PARTICLE_TYPES.SAND_HEAVY] - PARTICLE_DENSITY[PARTICLE_TYPES.WATER];
+        return Math.max(0, Math.min(1, excess / maxExcess)) * this.params.SETTLING_RATE;
+    }
+    
+    canSinkInto(grid, x, y, particle) {
+        if (!this.canMoveTo(grid, x, y, particle)) return false;
+        return this.random.next() < this.getSettlingRate(particle, grid[y * this.gridWidth + x]);
+    }
+    
+    findGapInBarrier(grid, x, y, frame) {
+        const searchRadius = this.params.BUBBLE_SEARCH_RADIUS;
+        const particle = grid[y * this.gridWidth + x];
+        const gaps = [];
+        
+        // Look for gaps in both directions
+        for (let lateral = -searchRadius; lateral <= searchRadius; lateral++) {
+            if (lateral === 0) continue;
+            
+            const entry = frame.offset(x, y, 1, lateral);
+            if (!this.inBounds(entry.x, entry.y)) continue;
+            
+            let gapQuality = 0;
+            let hasPath = true;
+            
+            // Check if there's a clear path down and count open cells
+            let checkX = entry.x;
+            let checkY = entry.y;
+            for (let depth = 1; depth <= 3; depth++, checkX += frame.down.x, checkY += frame.down.y) {
+                if (!this.inBounds(checkX, checkY)) break;
+                
+                const cell = grid[checkY * this.gridWidth + checkX];
+                if (cell === PARTICLE_TYPES.EMPTY || this.canDisplace(particle, cell)) {
+                    gapQuality++;
+                } else {
+                    // Bubbles, other grains and solids all block the path
+                    hasPath = false;
+                    break;
+                }
+            }
+            
+            if (hasPath && gapQuality > 0) {
+                gaps.push({ x: entry.x, y: entry.y, quality: gapQuality, distance: Math.abs(lateral) });
+            }
+        }
+        
+        if (gaps.length > 0) {
+            // Sort by quality (more empty cells = better gap) then by distance
+            gaps.sort((a, b) => b.quality - a.quality || a.distance - b.distance);
+            const bestGap = gaps[0];
+            return { x: bestGap.x, y: bestGap.y, type: 'gap' };
+        }
+        
+        return null;
+    }
+    
+    // Avalanche: slide a grain sideways when the surface beside it falls away more
+    // steeply than the grain's angle of repose. A tilt steepens slopes toward the
+    // low side and flattens those toward the high side.
+    tryLateralSlide(grid, x, y, friction, frame) {
+        const particle = grid[y * this.gridWidth + x];
+        const critical = Math.atan(this.getCriticalSlope(particle, friction));
+        const tilt = Math.atan(Math.abs(frame.lean));
+        const leanSide = Math.sign(frame.lean);
+        
+        const angleTo = (direction) => {
+            const slope = Math.atan(this.getSurfaceSlope(grid, x, y, direction, frame, particle));
+            return leanSide === 0 ? slope : slope + (direction === leanSide ? tilt : -tilt);
+        };
+        const left = angleTo(-1);
+        const right = angleTo(1);
+        
+        // Steeper side first; level ties pick a side at random so piles don't drift
+        const leftFirst = left > right || (left === right && this.random.next() < 0.5);
+        const directions = leftFirst ? [[-1, left], [1, right]] : [[1, right], [-1, left]];
+        
+        for (const [direction, angle] of directions) {
+            if (angle <= critical) break;
+            
+            const target = frame.offset(x, y, 0, direction);
+            if (this.canSinkInto(grid, target.x, target.y, particle)) {
+                return { x: target.x, y: target.y, type: 'slide' };
+            }
+        }
+        
+        return null;
+    }
+    
+    // Tangent of the angle of repose for one grain: its grade's angle, steepened or
+    // flattened by how the grain's friction compares with the middle of its range
+    getCriticalSlope(particle, friction) {
+        const material = MATERIALS.get(particle);
+        const angle = material.repose !== null ? material.repose : this.params.ANGLE_OF_REPOSE;
+        const [frictionMin, frictionMax] = material.friction ||
+            [this.params.SAND_FRICTION_MIN, this.params.SAND_FRICTION_MAX];
+        return Math.tan(angle * Math.PI / 180) * friction / ((frictionMin + frictionMax) / 2);
+    }
+    
+    // Steepest drop of the surface on one side of (x, y), as rise over run. Each
+    // column out to REPOSE_REACH cells away is measured by how far a grain set down
+    // there at this height could sink; the first column blocked at this height ends
+    // the search. Grains, bubbles, solids and the walls all count as support.
+    getSurfaceSlope(grid, x, y, lateral, frame, particle) {
+        const reach = this.params.REPOSE_REACH;
+        let steepest = 0;
+        
+        for (let run = 1; run <= reach; run++) {
+            let cellX = x + frame.side.x * lateral * run;
+            let cellY = y + frame.side.y * lateral * run;
+            if (!this.canMoveTo(grid, cellX, cellY, particle)) break;
+            
+            let drop = 0;
+            while (drop < 2 * reach) {
+                cellX += frame.down.x;
+                cellY += frame.down.y;
+                if (!this.canMoveTo(grid, cellX, cellY, particle)) break;
+                drop++;
+            }
+            steepest = Math.max(steepest, drop / run);
+        }
+        
+        return steepest;
+    }
+    
+    // True for any granular material, not just the built-in sand grades
+    isSand(particleType) {
+        return MATERIALS.phaseOf(particleType) === PHASES.GRANULAR;
+    }
+    
+    // Fall speed after one more step of gravity, buoyancy and drag while sinking
+    // through `medium`. In a liquid, speed levels off at a terminal velocity that
+    // rises with the grain's excess density and its mass.
+    accelerate(velocity, particle, medium, mass) {
+        const buoyancy = PARTICLE_DENSITY[medium] / PARTICLE_DENSITY[particle];
+        let speed = velocity + this.params.GRAVITY * (1 - buoyancy);
+        if (MATERIALS.phaseOf(medium) === PHASES.LIQUID) {
+            speed = this.applyWaterDrag(speed, particle, medium, mass);
+        }
+        return Math.max(0, Math.min(this.params.MAX_FALL_SPEED, speed));
+    }
+    
+    // Stokes-like drag. The force grows with speed and grain size; per unit of the
+    // grain's inertia it shrinks with grain density and size squared (mass^(2/3)),
+    // which makes terminal velocity proportional to excess density times mass^(2/3).
+    // WATER_DRAG is the fraction of speed kept per step when the two densities match.
+    applyWaterDrag(velocity, particle, medium, mass) {
+        const drag = (1 - this.params.WATER_DRAG) * PARTICLE_DENSITY[medium] /
+            (PARTICLE_DENSITY[particle] * Math.cbrt(mass * mass));
+        return velocity * (1 - drag);
+    }
+}
+
+// Bubble Physics Class
+class BubblePhysics {
+    constructor(gridWidth, gridHeight, random = new PRNG(), params = DEFAULT_PHYSICS_PARAMS) {
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        this.random = random;
+        this.params = params;
+    }
+    
+    inBounds(x, y) {
+        return x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight;
+    }
+    
+    applyBuoyancy(grid, x, y, frame) {
+        // Bubbles rise with buoyancy force, drifting toward the high side of a tilt
+        const leanSide = Math.sign(frame.lean);
+        const drift = leanSide !== 0 && this.random.next() < Math.abs(frame.lean) ? -leanSide : 0;
+        const rise = frame.offset(x, y, -1, drift);
+        
+        if (this.inBounds(rise.x, rise.y)) {
+            const above = grid[rise.y * this.gridWidth + rise.x];
+            if (above !== PARTICLE_TYPES.EMPTY && PARTICLE_DENSITY[above] > PARTICLE_DENSITY[grid[y * this.gridWidth + x]] &&
+                MATERIALS.phaseOf(above) !== PHASES.GRANULAR) {
+                if (this.random.next() < this.params.BUOYANCY) {
+                    return rise;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    applySpreadForce(grid, cluster, x, y, frame) {
+        // If cluster is too tall, spread across the gravity axis
+        if (!cluster || cluster.getHeightWidthRatio(frame) <= this.params.SURFACE_TENSION_FACTOR) {
+            return null;
+        }
+        
+        // Spread outward from center
+        const center = frame.lateral(cluster.getCenterX(), cluster.getCenterY());
+        const direction = frame.lateral(x, y) < center ? -1 : 1;
+        const spread = frame.offset(x, y, 0, direction);
+        
+        if (this.inBounds(spread.x, spread.y)) {
+            const target = grid[spread.y * this.gridWidth + spread.x];
+            if (target === PARTICLE_TYPES.EMPTY || PARTICLE_DENSITY[target] > PARTICLE_DENSITY[grid[y * this.gridWidth + x]]) {
+                if (this.random.next() < this.params.SPREAD_FORCE) {
+                    return spread;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    maintainGap(grid, x, y) {
+        // Ensure minimum spacing between bubbles of the same gas
+        const gas = grid[y * this.gridWidth + x];
+        let tooClose = false;
+        
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const checkX = x + dx;
+                const checkY = y + dy;
+                
+                if (checkX >= 0 && checkX < this.gridWidth && 
+                    checkY >= 0 && checkY < this.gridHeight) {
+                    
+                    if (grid[checkY * this.gridWidth + checkX] === gas) {
+                        const distance = Math.sqrt(dx * dx + dy * dy);
+                        if (distance < this.params.GAP_SIZE) {
+                            tooClose = true;
+                            break;
+                        }
+                    }
+                }
+            }
+            if (tooClose) break;
+        }
+        
+        return tooClose;
+    }
+    
+    applyAttraction(grid, x, y, frame) {
+        // Find nearby bubbles of the same gas and move towards them for clustering
+        const gas = grid[y * this.gridWidth + x];
+        let nearestBubble = null;
+        let minDistance = Infinity;
+        
+        const searchRadius = 3;
+        for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+            for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const checkX = x + dx;
+                const checkY = y + dy;
+                
+                if (checkX >= 0 && checkX < this.gridWidth && 
+                    checkY >= 0 && checkY < this.gridHeight) {
+                    
+                    if (grid[checkY * this.gridWidth + checkX] === gas) {
+                        const distance = Math.sqrt(dx * dx + dy * dy);
+                        if (distance > 1.5 && distance < minDistance) {
+                            minDistance = distance;
+                            nearestBubble = { dx, dy };
+                        }
+                    }
+                }
+            }
+        }
+        
+        if (nearestBubble && this.random.next() < this.params.COHESION) {
+            // Move one step towards the nearest bubble
+            const lateralStep = Math.sign(frame.lateral(nearestBubble.dx, nearestBubble.dy));
+            const depthStep = Math.sign(frame.depth(nearestBubble.dx, nearestBubble.dy));
+            
+            // Prefer movement across gravity for spreading
+            const lateral = this.random.next() < 0.7 ? lateralStep : 0;
+            const depth = this.random.next() < 0.3 ? depthStep : 0;
+            const target = frame.offset(x, y, depth, lateral);
+            
+            if (this.inBounds(target.x, target.y) &&
+                (target.x !== x || target.y !== y)) {
+                return target;
+            }
+        }
+        
+        return null;
+    }
+}
+
+// Scene file format (see Simulation.toScene)
+const SCENE_FORMAT = 'dynamic-water-sand/scene';
+const SCENE_VERSION = 8;
+
+// Whether a scene of the given version lists pressure for a cell of this type:
+// every gas from version 8, only air before that
+function savesPressure(type, version) {
+    return version > 7 ? MATERIALS.phaseOf(type) === PHASES.GAS : type === PARTICLE_TYPES.AIR;
+}
+
+// Thrown when a scene file is malformed or doesn't fit the frame
+class SceneFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SceneFormatError';
+    }
+}
+
+// Wrap an angle in degrees into (-180, 180]
+function normalizeAngle(degrees) {
+    let angle = (degrees % 360) || 0; // Also turns -0 into 0
+    if (angle > 180) angle -= 360;
+    if (angle <= -180) angle += 360;
+    return angle;
+}
+
+// Parse scene file text, rejecting anything that isn't valid JSON
+function parseScene(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new SceneFormatError(`Scene file is not valid JSON: ${error.message}`);
+    }
+}
+
+// Where the chambers container puts its shelf, openings and divider
+function chamberLayout(width, height) {
+    return {
+        shelf: Math.floor(height / 2),
+        thickness: Math.max(1, Math.round(height * 0.02)),
+        openings: [Math.round(width / 4), Math.round(width * 3 / 4)],
+        gap: Math.max(1, Math.round(width * 0.015)), // Half-width of each opening
+        divider: Math.floor(width / 2)
+    };
+}
+
+// Container shapes. Each preset takes the grid size and returns a test that is true
+// for wall cells; the edges of the grid are closed whatever the shape.
+const CONTAINER_SHAPES = {
+    rectangle: () => () => false,
+    
+    // Two bulbs narrowing to a neck halfway down
+    hourglass: (width, height) => {
+        const centerX = (width - 1) / 2;
+        const centerY = (height - 1) / 2;
+        const neck = Math.max(1, Math.round(width * 0.015)); // Half-width of the opening
+        return (x, y) => {
+            const t = Math.abs(y - centerY) / centerY; // 0 at the neck, 1 at top and bottom
+            return Math.abs(x - centerX) > neck + t * (centerX - neck);
+        };
+    },
+    
+    circle: (width, height) => {
+        const centerX = (width - 1) / 2;
+        const centerY = (height - 1) / 2;
+        const radius = Math.min(width, height) / 2 - 1;
+        return (x, y) => (x - centerX) ** 2 + (y - centerY) ** 2 > radius * radius;
+    },
+    
+    // An upper chamber over two lower ones: a shelf across the middle with an
+    // opening above each lower chamber, and a divider between them
+    chambers: (width, height) => {
+        const { shelf, thickness, openings, gap, divider } = chamberLayout(width, height);
+        return (x, y) => {
+            if (y >= shelf && y < shelf + thickness) {
+                return openings.every(opening => Math.abs(x - opening) > gap);
+            }
+            return y >= shelf && Math.abs(x - divider) < thickness;
+        };
+    },
+    
+    // Ramps reaching halfway across from alternate sides, sloping down toward
+    // their tips so sand piles on them and spills off the end
+    baffles: (width, height) => {
+        const count = 3;
+        const length = width * 0.5;
+        const slope = Math.tan(15 * Math.PI / 180);
+        const thickness = Math.max(1, Math.round(height * 0.02));
+        return (x, y) => {
+            for (let k = 0; k < count; k++) {
+                const run = k % 2 === 0 ? x : width - 1 - x;
+                if (run >= length) continue;
+                const top = Math.round(height * (k + 1) / (count + 1) + (run - length / 2) * slope);
+                if (y >= top && y < top + thickness) return true;
+            }
+            return false;
+        };
+    }
+};
+
+// Gates that come with a container shape. Each preset takes the grid size and
+// returns a test for each gate's cells, by gate name; they start closed.
+const CONTAINER_GATES = {
+    // One across each opening in the shelf, holding sand in the upper chamber
+    chambers: (width, height) => {
+        const { shelf, thickness, openings, gap } = chamberLayout(width, height);
+        const across = (opening) => (x, y) => y >= shelf && y < shelf + thickness && Math.abs(x - opening) <= gap;
+        return { left: across(openings[0]), right: across(openings[1]) };
+    }
+};
+
+// Wall mask (1 = wall, indexed like the grid) for a container given as a
+// CONTAINER_SHAPES name, a test function (x, y) => true for walls, a drawn mask
+// (rows of text where '#' marks a wall, stretched to fit the grid), or a mask
+// array of the grid's size
+function createContainerMask(shape, width, height) {
+    const mask = new Uint8Array(width * height);
+    
+    if (ArrayBuffer.isView(shape) || (Array.isArray(shape) && typeof shape[0] === 'number')) {
+        if (shape.length !== mask.length) {
+            throw new RangeError(`Container mask must have ${mask.length} cells`);
+        }
+        mask.set(shape);
+        return mask;
+    }
+    
+    let isWall;
+    if (typeof shape === 'function') {
+        isWall = shape;
+    } else if (Array.isArray(shape)) {
+        const columns = shape.length > 0 ? shape[0].length : 0;
+        if (columns === 0 || !shape.every(row => typeof row === 'string' && row.length === columns)) {
+            throw new TypeError('A drawn container mask must be rows of text of equal length');
+        }
+        isWall = (x, y) => shape[Math.floor(y * shape.length / height)][Math.floor(x * columns / width)] === '#';
+    } else if (Object.prototype.hasOwnProperty.call(CONTAINER_SHAPES, shape)) {
+        isWall = CONTAINER_SHAPES[shape](width, height);
+    } else {
+        throw new RangeError(`Unknown container shape: ${shape}`);
+    }
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (isWall(x, y)) mask[y * width + x] = 1;
+        }
+    }
+    return mask;
+}
+
+// Grid indices of the cells set in a mask
+function maskCells(mask) {
+    const cells = [];
+    mask.forEach((set, i) => {
+        if (set) cells.push(i);
+    });
+    return Int32Array.from(cells);
+}
+
+// Starting layouts. Each takes the simulation, its grid already full of water, and
+// lays out the mix (percentages of the frame by material name; the rest stays
+// water) with Simulation.placeCell. Every random choice comes from the
+// simulation's seeded source, so a seed replays the same picture.
+const DEFAULT_MIX = { SAND_HEAVY: 8, SAND_MEDIUM: 7, SAND_LIGHT: 5, AIR: 3 };
+
+const LAYOUTS = {
+    // The original picture: a band of mixed sand across the top over a row of
+    // bubbles. The row is shared out among the mix's gases, and whatever gas it
+    // can't hold is scattered below; other materials lie in a band under the row.
+    classic: (simulation, mix) => {
+        const { width, height, random } = simulation;
+        const grades = Object.entries(mix)
+            .map(([name, percent]) => ({ type: PARTICLE_TYPES[name], percent }))
+            .filter(grade => simulation.sandPhysics.isSand(grade.type) && grade.percent > 0);
+        const sandPercent = grades.reduce((sum, grade) => sum + grade.percent, 0);
+        let cumulative = 0;
+        for (const grade of grades) {
+            cumulative += grade.percent;
+            grade.below = cumulative / sandPercent; // Chance of a grade this one or earlier
+        }
+        
+        // Fill the top of the frame with sand of varied densities
+        const sandLayerHeight = Math.floor(height * sandPercent / 100);
+        for (let y = 0; y < sandLayerHeight; y++) {
+            for (let x = 0; x < width; x++) {
+                const rand = random.next();
+                const grade = grades.find(other => rand < other.below) || grades[grades.length - 1];
+                simulation.grid[y * width + x] = grade.type;
+                simulation.initGrainProperties(x, y);
+            }
+        }
+        
+        // Create bubble layer just below sand (at least 3 voxels high)
+        const bubbleLayerStart = sandLayerHeight;
+        const bubbleLayerHeight = Math.max(5, Math.floor(height * 0.05)); // At least 5 voxels
+        const { materials, gases } = layoutAmounts(simulation, mix);
+        const remaining = gases.map(gas => ({ ...gas }));
+        
+        // Create multiple bubbles with tapered ends
+        const numBubbles = Math.floor(width / 15); // Create several bubbles across the width
+        const bubbleSpacing = Math.floor(width / (numBubbles + 1));
+        
+        for (let i = 0; i < numBubbles; i++) {
+            const bubbleCenterX = bubbleSpacing * (i + 1);
+            const bubbleCenterY = bubbleLayerStart + Math.floor(bubbleLayerHeight / 2);
+            const bubbleWidth = 8 + Math.floor(random.next() * 5); // 8-12 voxels wide
+            const bubbleHeight = Math.max(3, bubbleLayerHeight - 2); // At least 3 voxels
+            
+            // Each bubble holds the gas with the most cells still to place
+            const gas = remaining.reduce((most, other) => other.count > most.count ? other : most, { count: 0 });
+            if (gas.count === 0) continue;
+            
+            // Create bubble with tapered ends (elliptical shape)
+            for (let dy = 0; dy < bubbleHeight; dy++) {
+                const y = bubbleCenterY - Math.floor(bubbleHeight / 2) + dy;
+                if (y < 0 || y >= height) continue;
+                
+                // Calculate width at this height (tapered at top and bottom)
+                const heightRatio = Math.abs(dy - bubbleHeight / 2) / (bubbleHeight / 2);
+                const widthAtHeight = bubbleWidth * (1 - heightRatio * 0.3); // 30% taper
+                
+                for (let dx = -Math.floor(widthAtHeight / 2); dx <= Math.floor(widthAtHeight / 2); dx++) {
+                    const x = bubbleCenterX + dx;
+                    if (x >= 0 && x < width && gas.count > 0 &&
+                        simulation.grid[y * width + x] === PARTICLE_TYPES.WATER) {
+                        simulation.placeCell(x, y, gas.type);
+                        gas.count--;
+                    }
+                }
+            }
+        }
+        
+        // Lay everything else in a band under the bubbles, row by row
+        let next = Math.min(height, bubbleLayerStart + bubbleLayerHeight) * width;
+        for (const { type, count } of materials.filter(material => !simulation.sandPhysics.isSand(material.type))) {
+            for (let n = 0; n < count && next < simulation.grid.length; n++, next++) {
+                simulation.placeCell(next % width, Math.floor(next / width), type);
+            }
+        }
+        
+        placeBubbles(simulation, remaining);
+    },
+    
+    // Horizontal stripes of each material, two to four apiece, in random order with
+    // water between them
+    stripes: (simulation, mix) => {
+        const { width, height, random } = simulation;
+        const { materials, gases } = layoutAmounts(simulation, mix);
+        
+        const stripes = [];
+        for (const { type, count } of materials) {
+            const rows = Math.max(1, Math.round(count / width));
+            const pieces = Math.min(rows, 2 + random.int(3));
+            for (let i = 0; i < pieces; i++) {
+                stripes.push({ type, rows: Math.floor(rows * (i + 1) / pieces) - Math.floor(rows * i / pieces) });
+            }
+        }
+        simulation.shuffle(stripes);
+        
+        const used = stripes.reduce((sum, stripe) => sum + stripe.rows, 0);
+        const gap = Math.max(0, height - used) / (stripes.length + 1);
+        let top = 0;
+        stripes.forEach((stripe, i) => {
+            const start = Math.round(top + gap * (i + 1));
+            for (let y = start; y < Math.min(height, start + stripe.rows); y++) {
+                for (let x = 0; x < width; x++) simulation.placeCell(x, y, stripe.type);
+            }
+            top += stripe.rows;
+        });
+        
+        placeBubbles(simulation, gases);
+    },
+    
+    // Round blotches of each material scattered over the frame
+    blotches: (simulation, mix) => {
+        const { width, height, random } = simulation;
+        const { materials, gases } = layoutAmounts(simulation, mix);
+        const maxRadius = Math.max(2, Math.round(Math.min(width, height) * 0.08));
+        
+        for (const { type, count } of materials) {
+            let placed = 0;
+            for (let attempt = 0; placed < count && attempt < count; attempt++) {
+                const cx = random.int(width);
+                const cy = random.int(height);
+                const radius = 2 + random.int(maxRadius - 1);
+                for (let y = Math.max(0, cy - radius); y <= Math.min(height - 1, cy + radius); y++) {
+                    for (let x = Math.max(0, cx - radius); x <= Math.min(width - 1, cx + radius); x++) {
+                        if (placed === count) break;
+                        if ((x - cx) ** 2 + (y - cy) ** 2 > radius * radius) continue;
+                        if (simulation.grid[y * width + x] !== PARTICLE_TYPES.WATER) continue;
+                        simulation.placeCell(x, y, type);
+                        placed++;
+                    }
+                }
+            }
+        }
+        
+        placeBubbles(simulation, gases);
+    },
+    
+    // Veins of each material swirled through the water by value noise. The frame
+    // is split into wavy bands, and cells are ranked by how far across their band
+    // they lie and handed out in turn, each material's share followed by a share
+    // of water, so every material runs as one vein through each band.
+    marbled: (simulation, mix) => {
+        const { width, height, random } = simulation;
+        const { materials, gases } = layoutAmounts(simulation, mix);
+        const noise = createValueNoise(random, width, height, Math.max(4, Math.round(Math.min(width, height) / 4)));
+        const bands = 2 + random.int(3);
+        const turbulence = 0.6 + random.next() * 0.6; // Bands the noise can push a cell across
+        
+        const field = new Float64Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const band = y / height * bands + turbulence * noise(x, y);
+                field[y * width + x] = band - Math.floor(band);
+            }
+        }
+        const ranked = Array.from(field.keys()).sort((a, b) => field[a] - field[b]);
+        
+        const materialCells = materials.reduce((sum, material) => sum + material.count, 0);
+        const waterShare = Math.max(0, ranked.length - materialCells) / Math.max(1, materials.length);
+        let next = 0;
+        for (const { type, count } of materials) {
+            for (const i of ranked.slice(next, next + count)) {
+                simulation.placeCell(i % width, Math.floor(i / width), type);
+            }
+            next += count + Math.round(waterShare);
+        }
+        
+        placeBubbles(simulation, gases);
+    },
+    
+    // A settled frame just turned over: materials heavier than water in graded
+    // layers along the top, densest outermost, and lighter ones along the bottom
+    inverted: (simulation, mix) => {
+        const { width } = simulation;
+        const { materials, gases } = layoutAmounts(simulation, mix);
+        const byDensity = [...materials, ...gases].sort((a, b) => PARTICLE_DENSITY[b.type] - PARTICLE_DENSITY[a.type]);
+        const waterDensity = PARTICLE_DENSITY[PARTICLE_TYPES.WATER];
+        
+        let top = 0; // Next cell to fill from the top, row by row
+        for (const { type, count } of byDensity.filter(material => PARTICLE_DENSITY[material.type] > waterDensity)) {
+            for (let n = 0; n < count && top < simulation.grid.length; n++, top++) {
+                simulation.placeCell(top % width, Math.floor(top / width), type);
+            }
+        }
+        
+        let bottom = simulation.grid.length - 1; // Next cell to fill from the bottom
+        for (const { type, count } of byDensity.filter(material => PARTICLE_DENSITY[material.type] < waterDensity).reverse()) {
+            for (let n = 0; n < count && bottom >= top; n++, bottom--) {
+                simulation.placeCell(bottom % width, Math.floor(bottom / width), type);
+            }
+        }
+    },
+    
+    // Every cell drawn at random in the mix's proportions
+    scattered: (simulation, mix) => {
+        const { width, height, random } = simulation;
+        const { materials, gases } = layoutAmounts(simulation, mix);
+        const amounts = [...materials, ...gases];
+        const cells = width * height;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let pick = random.next() * cells;
+                for (const { type, count } of amounts) {
+                    pick -= count;
+                    if (pick < 0) {
+                        simulation.placeCell(x, y, type);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Cell counts for a mix, split into gases (laid out as bubbles by most layouts)
+// and everything else; water is left out, since it fills the rest
+function layoutAmounts(simulation, mix) {
+    const cells = simulation.width * simulation.height;
+    const materials = [];
+    const gases = [];
+    for (const [name, percent] of Object.entries(mix)) {
+        const type = PARTICLE_TYPES[name];
+        const count = Math.round(cells * percent / 100);
+        if (type === PARTICLE_TYPES.WATER || count === 0) continue;
+        (MATERIALS.phaseOf(type) === PHASES.GAS ? gases : materials).push({ type, count });
+    }
+    return { materials, gases };
+}
+
+// Scatter gases through the water as tapered bubbles like the classic layout's
+// row, until each has its count of cells or there is no water left to put them in
+function placeBubbles(simulation, gases) {
+    const { width, height, random, grid } = simulation;
+    for (const { type, count } of gases) {
+        let placed = 0;
+        for (let attempt = 0; placed < count && attempt < count; attempt++) {
+            const cx = random.int(width);
+            const cy = random.int(height);
+            const bubbleWidth = 8 + random.int(5);
+            const bubbleHeight = 3 + random.int(3);
+            for (let dy = 0; dy < bubbleHeight; dy++) {
+                const y = cy - Math.floor(bubbleHeight / 2) + dy;
+                if (y < 0 || y >= height) continue;
+                const heightRatio = Math.abs(dy - bubbleHeight / 2) / (bubbleHeight / 2);
+                const halfWidth = Math.floor(bubbleWidth * (1 - heightRatio * 0.3) / 2);
+                for (let x = Math.max(0, cx - halfWidth); x <= Math.min(width - 1, cx + halfWidth); x++) {
+                    if (placed === count || grid[y * width + x] !== PARTICLE_TYPES.WATER) continue;
+                    simulation.placeCell(x, y, type);
+                    placed++;
+                }
+            }
+        }
+    }
+}
+
+// Smooth random values in [0, 1) over the grid: random values on a lattice `scale`
+// cells apart, blended between lattice points, plus a finer octave for detail
+function createValueNoise(random, width, height, scale) {
+    const octaves = [scale, scale / 2].map(spacing => {
+        const columns = Math.ceil(width / spacing) + 2;
+        const rows = Math.ceil(height / spacing) + 2;
+        const values = Float64Array.from({ length: columns * rows }, () => random.next());
+        return { spacing, columns, values };
+    });
+    const smooth = (t) => t * t * (3 - 2 * t);
+    const sample = ({ spacing, columns, values }, x, y) => {
+        const gx = x / spacing;
+        const gy = y / spacing;
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const tx = smooth(gx - x0);
+        const ty = smooth(gy - y0);
+        const at = (i, j) => values[(y0 + j) * columns + x0 + i];
+        const top = at(0, 0) + (at(1, 0) - at(0, 0)) * tx;
+        const bottom = at(0, 1) + (at(1, 1) - at(0, 1)) * tx;
+        return top + (bottom - top) * ty;
+    };
+    return (x, y) => 0.65 * sample(octaves[0], x, y) + 0.35 * sample(octaves[1], x, y);
+}
+
+// Reject an unknown layout or a bad mix before a frame is built from them
+function checkLayout(layout, mix) {
+    if (typeof layout !== 'function' && !Object.prototype.hasOwnProperty.call(LAYOUTS, layout)) {
+        throw new RangeError(`Unknown layout: ${layout}`);
+    }
+    if (!mix || typeof mix !== 'object') {
+        throw new TypeError('A layout mix must be an object of percentages by material name');
+    }
+    let total = 0;
+    for (const [name, percent] of Object.entries(mix)) {
+        if (!Object.prototype.hasOwnProperty.call(PARTICLE_TYPES, name) ||
+            MATERIALS.phaseOf(PARTICLE_TYPES[name]) === PHASES.SOLID) {
+            throw new RangeError(`Can't lay out material: ${name}`);
+        }
+        if (!Number.isFinite(percent) || percent < 0) {
+            throw new TypeError(`Mix percentage for ${name} must be a non-negative number`);
+        }
+        total += percent;
+    }
+    if (total > 100) {
+        throw new RangeError(`Mix adds up to ${total}%, more than the whole frame`);
+    }
+}
+
+// What a renderer needs for one frame, packed into a single buffer so the frame can
+// move to another thread as one transferable: bubble labels (see
+// Simulation.writeBubbleLabels) first, as they need 4-byte alignment, then cells
+const FRAME_BYTES_PER_CELL = 5;
+
+function frameViews(buffer, width, height) {
+    const size = width * height;
+    return {
+        bubbles: new Int32Array(buffer, 0, size),
+        grid: new Uint8Array(buffer, size * 4, size)
+    };
+}
+
+// Events a Simulation emits, and what each passes to its listeners:
+//   step - { frame, movedGrains }: an update has finished
+//   flip - { frame, gravityAngle }: the frame was turned upside down
+//   settled - { frame, settleTime }: the grid has come to rest (see trackSettling)
+//   bubbleReleased - { frame, id, x, y, size }: trapped air burst out at (x, y)
+//   bubbleMerged - { frame, id, mergedIds, size }: bubble id took in the mergedIds bubbles
+const SIMULATION_EVENTS = ['step', 'flip', 'settled', 'bubbleReleased', 'bubbleMerged'];
+
+// Listeners by event name, for the engine and the page's SimulationHost
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+    
+    // Call listener(detail) each time the event fires
+    on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener for ${type} must be a function`);
+        }
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+        return this;
+    }
+    
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) this.listeners.set(type, listeners.filter(other => other !== listener));
+        return this;
+    }
+    
+    emit(type, detail) {
+        for (const listener of this.listeners.get(type) || []) listener(detail);
+    }
+}
+
+// Settle detection defaults: the grid has settled once no more than
+// SETTLE_THRESHOLD grains have moved in each of SETTLE_FRAMES steps in a row.
+// Bubbles never quite stop jostling, so only sand counts.
+const SETTLE_THRESHOLD = 10;
+const SETTLE_FRAMES = 60;
+
+// Brush shapes Simulation.paint fills
+const BRUSH_SHAPES = ['round', 'square'];
+
+class Simulation extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.width = options.width || GRID_WIDTH;
+        this.height = options.height || GRID_HEIGHT;
+        
+        // Every random decision draws from this seeded source so runs can be replayed
+        this.random = new PRNG(options.seed);
+        this.seed = this.random.seed;
+        
+        // Cell material IDs, row by row: the cell at (x, y) is grid[y * width + x].
+        // nextGrid is the output buffer for update(); the two swap every step.
+        this.grid = null;
+        this.nextGrid = null;
+        this.setGravityAngle(0);
+        this.rotation = null; // Turn in progress (see rotate)
+        
+        // Physics parameters of this simulation alone, shared with its helpers (see setParams)
+        this.params = { ...DEFAULT_PHYSICS_PARAMS };
+        
+        // Initialize physics systems
+        this.particleProps = new ParticleProperties(this.width, this.height);
+        this.flow = new FlowField(this.width, this.height, this.params);
+        this.bubbleManager = new BubbleManager(this.width, this.height, this.params);
+        this.sandPhysics = new SandPhysics(this.width, this.height, this.random, this.params);
+        this.bubblePhysics = new BubblePhysics(this.width, this.height, this.random, this.params);
+        this.clusters = [];
+        this.claimed = new Uint8Array(this.width * this.height);
+        this.stepState = {}; // Reused by updateParticle
+        
+        // Material count audit (see auditCounts)
+        this.frameCount = 0;
+        this.auditInterval = options.auditInterval !== undefined ? options.auditInterval : 60;
+        this.driftLog = [];
+        
+        // Settle detection (see trackSettling)
+        this.settleThreshold = options.settleThreshold !== undefined ? options.settleThreshold : SETTLE_THRESHOLD;
+        this.settleFrames = options.settleFrames !== undefined ? options.settleFrames : SETTLE_FRAMES;
+        this.movedGrains = 0; // Grains moved in the current step
+        this.startSettling();
+        
+        // Walls and gates laid over the frame on every reset (see createContainerMask
+        // and addGate)
+        this.container = options.container || 'rectangle';
+        this.containerMask = createContainerMask(this.container, this.width, this.height);
+        this.gates = new Map(); // Gate name -> { name, mask, cells, open, startsOpen }
+        this.gateSchedule = []; // { frame, name, open }, in frame order (see scheduleGate)
+        this.addContainerGates();
+        
+        // Starting picture for every reset (see LAYOUTS)
+        this.layout = options.layout || 'classic';
+        this.mix = { ...(options.mix || DEFAULT_MIX) };
+        checkLayout(this.layout, this.mix);
+        
+        this.initGrid();
+        this.populateGrid();
+        this.resetAudit();
+    }
+    
+    initGrid() {
+        this.grid = new Uint8Array(this.width * this.height).fill(PARTICLE_TYPES.EMPTY);
+        this.nextGrid = new Uint8Array(this.width * this.height);
+    }
+    
+    // Material at (x, y)
+    getCell(x, y) {
+        return this.grid[y * this.width + x];
+    }
+    
+    // Fill the frame with water, lay the starting picture over it (see LAYOUTS),
+    // then build the container
+    populateGrid() {
+        this.grid.fill(PARTICLE_TYPES.WATER);
+        const layout = typeof this.layout === 'function' ? this.layout : LAYOUTS[this.layout];
+        layout(this, this.mix);
+        this.applyContainer();
+    }
+    
+    // Switch to another layout, and optionally mix, and start over with it
+    setLayout(layout, mix = this.mix) {
+        checkLayout(layout, mix);
+        this.layout = layout;
+        this.mix = { ...mix };
+        this.reset();
+    }
+    
+    // Set a cell's material, giving a grain fresh properties or clearing them
+    placeCell(x, y, type) {
+        this.grid[y * this.width + x] = type;
+        if (this.sandPhysics.isSand(type)) {
+            this.initGrainProperties(x, y);
+        } else {
+            this.particleProps.deleteProperties(x, y);
+        }
+    }
+    
+    // Build the container's walls over whatever was placed there, then put the
+    // gates back as they started
+    applyContainer() {
+        for (let i = 0; i < this.grid.length; i++) {
+            if (!this.containerMask[i]) continue;
+            this.particleProps.deleteProperties(i % this.width, Math.floor(i / this.width));
+            this.grid[i] = PARTICLE_TYPES.WALL;
+        }
+        
+        for (const gate of this.gates.values()) {
+            gate.cells = maskCells(gate.mask);
+            gate.open = gate.startsOpen;
+            this.fillGate(gate);
+        }
+    }
+    
+    // Switch to another container (see createContainerMask) and start over in it.
+    // Gates are replaced by the new shape's own (see CONTAINER_GATES).
+    setContainer(shape) {
+        this.containerMask = createContainerMask(shape, this.width, this.height);
+        this.container = shape;
+        this.gates = new Map();
+        this.addContainerGates();
+        this.reset();
+    }
+    
+    addContainerGates() {
+        if (typeof this.container !== 'string' ||
+            !Object.prototype.hasOwnProperty.call(CONTAINER_GATES, this.container)) return;
+        const gates = CONTAINER_GATES[this.container](this.width, this.height);
+        for (const [name, region] of Object.entries(gates)) {
+            this.createGate(name, createContainerMask(region, this.width, this.height), false);
+        }
+    }
+    
+    // Add a named gate over a region given in any form createContainerMask takes.
+    // A closed gate is solid GATE cells; opening it fills them with water, and
+    // closing it again removes whatever has moved in. Gates stay through resets,
+    // which put them back open or closed as they were added.
+    addGate(name, region, open = false) {
+        if (typeof name !== 'string' || name === '') {
+            throw new TypeError('A gate needs a name');
+        }
+        if (this.gates.has(name)) {
+            throw new RangeError(`Gate ${name} already exists`);
+        }
+        const gate = this.createGate(name, createContainerMask(region, this.width, this.height), Boolean(open));
+        this.fillGate(gate);
+        this.resetAudit();
+    }
+    
+    createGate(name, mask, open) {
+        const gate = { name, mask, cells: maskCells(mask), open, startsOpen: open };
+        this.gates.set(name, gate);
+        return gate;
+    }
+    
+    getGate(name) {
+        const gate = this.gates.get(name);
+        if (!gate) throw new RangeError(`Unknown gate: ${name}`);
+        return gate;
+    }
+    
+    // Name and open state of every gate
+    getGates() {
+        return [...this.gates.values()].map(gate => ({ name: gate.name, open: gate.open }));
+    }
+    
+    // Open or close a gate; returns false if it already was
+    setGate(name, open) {
+        const gate = this.getGate(name);
+        if (gate.open === Boolean(open)) return false;
+        gate.open = Boolean(open);
+        this.fillGate(gate);
+        
+        // Gates add and remove material like the brush does
+        this.resetAudit();
+        return true;
+    }
+    
+    toggleGate(name) {
+        return this.setGate(name, !this.getGate(name).open);
+    }
+    
+    // Remove a gate, opening it first, along with anything scheduled for it
+    removeGate(name) {
+        this.setGate(name, true);
+        this.gates.delete(name);
+        this.gateSchedule = this.gateSchedule.filter(entry => entry.name !== name);
+    }
+    
+    // Open or close a gate once frameCount reaches the given frame, so releases can
+    // be choreographed. The schedule is saved with scenes and cleared by reset.
+    scheduleGate(name, open, frame) {
+        this.getGate(name);
+        if (!Number.isInteger(frame) || frame < 0) {
+            throw new RangeError(`Invalid frame: ${frame}`);
+        }
+        const entry = { frame, name, open: Boolean(open) };
+        const index = this.gateSchedule.findIndex(other => other.frame > frame);
+        this.gateSchedule.splice(index === -1 ? this.gateSchedule.length : index, 0, entry);
+    }
+    
+    runGateSchedule() {
+        while (this.gateSchedule.length > 0 && this.gateSchedule[0].frame <= this.frameCount) {
+            const { name, open } = this.gateSchedule.shift();
+            this.setGate(name, open);
+        }
+    }
+    
+    // Write a gate's cells into the grid: water where an open gate stood, or gate
+    // cells over everything but walls when it is closed
+    fillGate(gate) {
+        for (const i of gate.cells) {
+            const type = this.grid[i];
+            if (gate.open) {
+                if (type === PARTICLE_TYPES.GATE) this.grid[i] = PARTICLE_TYPES.WATER;
+                continue;
+            }
+            if (MATERIALS.phaseOf(type) === PHASES.SOLID) continue;
+            // Grain properties and gas pressure go with whatever the gate replaces
+            this.particleProps.deleteProperties(i % this.width, Math.floor(i / this.width));
+            this.grid[i] = PARTICLE_TYPES.GATE;
+        }
+    }
+    
+    // Initialize the grain at (x, y) with friction and mass drawn from its
+    // material's ranges, or the sand ranges in params if it has none
+    initGrainProperties(x, y) {
+        const material = MATERIALS.get(this.grid[y * this.width + x]);
+        const [frictionMin, frictionMax] = material.friction ||
+            [this.params.SAND_FRICTION_MIN, this.params.SAND_FRICTION_MAX];
+        const [massMin, massMax] = material.mass ||
+            [this.params.SAND_MASS_MIN, this.params.SAND_MASS_MAX];
+        const friction = frictionMin + this.random.next() * (frictionMax - frictionMin);
+        const mass = massMin + this.random.next() * (massMax - massMin);
+        this.particleProps.setProperties(x, y, friction, mass);
+    }
+    
+    // Fill a round or square brush centred on the cell (cx, cy) with a material.
+    // A fractional radius reaches only whole cells. Cells outside the grid are
+    // skipped; returns the number of cells changed.
+    paint(cx, cy, type, radius = 0, shape = 'round') {
+        if (typeof cx !== 'number' || typeof cy !== 'number' || typeof radius !== 'number') {
+            throw new TypeError('Brush position and radius must be numbers');
+        }
+        if (!Number.isInteger(cx) || !Number.isInteger(cy)) {
+            throw new RangeError(`Brush position must be a whole cell: ${cx}, ${cy}`);
+        }
+        if (!Number.isFinite(radius) || radius < 0) {
+            throw new RangeError(`Brush radius must be a finite number of cells, at least 0: ${radius}`);
+        }
+        if (!BRUSH_SHAPES.includes(shape)) {
+            throw new RangeError(`Unknown brush shape: ${shape}`);
+        }
+        if (!MATERIALS.has(type)) {
+            throw new RangeError(`Unknown material ID: ${type}`);
+        }
+        
+        // Only visit the part of the brush that lies on the grid, however big it is
+        let changed = 0;
+        const reach = Math.floor(radius);
+        for (let dy = Math.max(-reach, -cy); dy <= Math.min(reach, this.height - 1 - cy); dy++) {
+            for (let dx = Math.max(-reach, -cx); dx <= Math.min(reach, this.width - 1 - cx); dx++) {
+                if (shape === 'round' && dx * dx + dy * dy > radius * radius + radius) continue;
+                
+                const x = cx + dx;
+                const y = cy + dy;
+                if (this.grid[y * this.width + x] === type) continue;
+                
+                this.placeCell(x, y, type);
+                changed++;
+            }
+        }
+        
+        // Painting adds and removes material on purpose; audit against the new totals
+        if (changed > 0) this.resetAudit();
+        return changed;
+    }
+    
+    // Change this simulation's physics parameters by name; unknown names, non-numbers
+    // and values outside PARAM_LIMITS are rejected
+    setParams(params) {
+        for (const [key, value] of Object.entries(params)) {
+            const problem = checkParam(key, value);
+            if (problem) {
+                throw typeof value === 'number' ? new RangeError(problem) : new TypeError(problem);
+            }
+        }
+        Object.assign(this.params, params);
+    }
+    
+    // Put every physics parameter back to its default
+    resetParams() {
+        Object.assign(this.params, DEFAULT_PHYSICS_PARAMS);
+    }
+    
+    // Run `count` updates in one go, e.g. to step a paused frame; returns the frame count
+    step(count = 1) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new RangeError(`Step count must be a whole number of updates: ${count}`);
+        }
+        for (let i = 0; i < count; i++) this.update();
+        return this.frameCount;
+    }
+    
+    // A copy of the grid, with material counts by name and everything getState reports
+    snapshot() {
+        const byId = this.countMaterials();
+        const counts = {};
+        for (const material of MATERIALS.all()) counts[material.name] = byId[material.id];
+        return { ...this.getState(), width: this.width, height: this.height, grid: this.grid.slice(), counts };
+    }
+    
+    // Label each cell 1 + the index of its bubble cluster, or 0 outside clusters of two
+    // or more cells, reusing the clusters update() found. Cells that stopped holding
+    // their bubble's gas after the clusters were found lose their label.
+    writeBubbleLabels(labels) {
+        const { clusters, clusterIndex } = this.bubbleManager;
+        for (let i = 0; i < labels.length; i++) {
+            const index = clusterIndex[i];
+            labels[i] = index !== -1 && this.grid[i] === clusters[index].type && clusters[index].size() >= 2 ? index + 1 : 0;
+        }
+    }
+    
+    // Copy the cells and bubble labels into a frame buffer (see frameViews)
+    writeFrame(buffer) {
+        const { bubbles, grid } = frameViews(buffer, this.width, this.height);
+        grid.set(this.grid);
+        this.writeBubbleLabels(bubbles);
+    }
+    
+    // Plain, cloneable snapshot of the engine state a front end mirrors
+    getState() {
+        return {
+            seed: this.seed,
+            frameCount: this.frameCount,
+            gravityAngle: this.gravityAngle,
+            rotation: this.rotation && { ...this.rotation },
+            params: { ...this.params },
+            gates: this.getGates(),
+            settled: this.settled,
+            settleTime: this.settleTime
+        };
+    }
+    
+    // Start over from a fresh grid, replaying the given seed (or the current one)
+    reset(seed = this.seed) {
+        this.random.reset(seed);
+        this.seed = this.random.seed;
+        this.rotation = null;
+        this.setGravityAngle(0);
+        this.frameCount = 0;
+        this.driftLog = [];
+        this.gateSchedule = [];
+        this.startSettling();
+        this.particleProps = new ParticleProperties(this.width, this.height);
+        this.flow = new FlowField(this.width, this.height, this.params);
+        this.bubbleManager = new BubbleManager(this.width, this.height, this.params);
+        this.clusters = [];
+        
+        this.initGrid();
+        this.populateGrid();
+        this.resetAudit();
+    }
+    
+    // Snapshot the full frame as a versioned, JSON-serializable scene. Cells are
+    // run-length encoded row by row as [type, count, type, count, ...]; grain
+    // friction, mass, velocity and wetness are listed in the same order as the sand cells,
+    // and pressure in the same order as the gas cells. Flow is listed as
+    // [cell, x, y, ...] for moving water only.
+    toScene() {
+        const cells = [];
+        const friction = [];
+        const mass = [];
+        const velocity = [];
+        const wetness = [];
+        const pressure = [];
+        let runType = null;
+        let runLength = 0;
+        
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const type = this.grid[y * this.width + x];
+                if (type === runType) {
+                    runLength++;
+                } else {
+                    if (runLength > 0) cells.push(runType, runLength);
+                    runType = type;
+                    runLength = 1;
+                }
+                
+                if (this.sandPhysics.isSand(type)) {
+                    const props = this.particleProps.getProperties(x, y);
+                    friction.push(props.friction);
+                    mass.push(props.mass);
+                    velocity.push(props.velocity);
+                    wetness.push(props.wetness);
+                } else if (savesPressure(type, SCENE_VERSION)) {
+                    pressure.push(this.particleProps.pressure[y * this.width + x]);
+                }
+            }
+        }
+        cells.push(runType, runLength);
+        
+        const flow = [];
+        for (let i = 0; i < this.grid.length; i++) {
+            if (this.flow.x[i] !== 0 || this.flow.y[i] !== 0) flow.push(i, this.flow.x[i], this.flow.y[i]);
+        }
+        
+        return {
+            format: SCENE_FORMAT,
+            version: SCENE_VERSION,
+            width: this.width,
+            height: this.height,
+            gravityAngle: this.gravityAngle,
+            seed: this.seed,
+            randomState: this.random.state,
+            frame: this.frameCount,
+            params: { ...this.params },
+            cells,
+            grains: { friction, mass, velocity, wetness },
+            air: { pressure },
+            flow,
+            gates: [...this.gates.values()].map(gate => ({ name: gate.name, open: gate.open, cells: Array.from(gate.cells) })),
+            gateSchedule: this.gateSchedule.map(entry => ({ ...entry }))
+        };
+    }
+    
+    // Replace the frame with a scene produced by toScene. The scene is fully
+    // validated first, so a rejected file leaves the current frame untouched.
+    loadScene(scene) {
+        const grid = this.validateScene(scene);
+        
+        this.grid = grid;
+        this.rotation = null;
+        // Version 1 scenes could only be upright or flipped
+        this.setGravityAngle(scene.version === 1 ? (scene.gravity === 1 ? 0 : 180) : scene.gravityAngle);
+        this.random.reset(scene.seed);
+        this.random.state = scene.randomState >>> 0;
+        this.seed = this.random.seed;
+        this.frameCount = scene.frame;
+        this.driftLog = [];
+        this.startSettling();
+        // The scene's walls become the container, so a reset keeps its shape
+        this.containerMask = grid.map(type => type === PARTICLE_TYPES.WALL ? 1 : 0);
+        this.container = this.containerMask;
+        this.gates = new Map();
+        this.gateSchedule = [];
+        // Scenes older than version 4 have no gates
+        if (scene.version > 3) {
+            for (const gate of scene.gates) {
+                const mask = new Uint8Array(this.width * this.height);
+                for (const i of gate.cells) mask[i] = 1;
+                this.createGate(gate.name, mask, gate.open);
+            }
+            for (const entry of scene.gateSchedule) this.scheduleGate(entry.name, entry.open, entry.frame);
+        }
+        this.bubbleManager = new BubbleManager(this.width, this.height, this.params);
+        this.clusters = [];
+        // Parameters a scene doesn't list (older versions predate them) take their
+        // defaults, not whatever this simulation was tuned to
+        this.resetParams();
+        for (const [key, value] of Object.entries(scene.params)) {
+            if (!RETIRED_PARAMS.includes(key)) this.params[key] = value;
+        }
+        
+        this.particleProps = new ParticleProperties(this.width, this.height);
+        this.flow = new FlowField(this.width, this.height, this.params);
+        // Water in scenes older than version 7 starts still
+        if (scene.version > 6) {
+            for (let i = 0; i < scene.flow.length; i += 3) this.flow.push(scene.flow[i], scene.flow[i + 1], scene.flow[i + 2]);
+        }
+        let grain = 0;
+        let gas = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.sandPhysics.isSand(grid[y * this.width + x])) {
+                    // Grains in scenes older than version 3 start at rest
+                    const velocity = scene.version > 2 ? scene.grains.velocity[grain] : 0;
+                    // and older than version 6 soaked
+                    const wetness = scene.version > 5 ? scene.grains.wetness[grain] : 1;
+                    this.particleProps.setProperties(x, y, scene.grains.friction[grain], scene.grains.mass[grain], velocity, wetness);
+                    grain++;
+                } else if (savesPressure(grid[y * this.width + x], scene.version)) {
+                    // Gas in scenes older than version 5 starts unpressurized
+                    if (scene.version > 4) this.particleProps.pressure[y * this.width + x] = scene.air.pressure[gas];
+                    gas++;
+                }
+            }
+        }
+        
+        this.resetAudit();
+    }
+    
+    // Check a scene against the format and this frame's dimensions, returning the decoded grid
+    validateScene(scene) {
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+        const isNumberArray = (value) => Array.isArray(value) && value.every(Number.isFinite);
+        
+        if (!scene || typeof scene !== 'object' || scene.format !== SCENE_FORMAT) {
+            throw new SceneFormatError('Not a sand-art scene file');
+        }
+        if (!Number.isInteger(scene.version) || scene.version < 1) {
+            throw new SceneFormatError(`Invalid scene version: ${scene.version}`);
+        }
+        if (scene.version > SCENE_VERSION) {
+            throw new SceneFormatError(`Scene version ${scene.version} is newer than this simulation supports (${SCENE_VERSION})`);
+        }
+        if (scene.width !== this.width || scene.height !== this.height) {
+            throw new SceneFormatError(`Scene is ${scene.width}x${scene.height} but the frame is ${this.width}x${this.height}`);
+        }
+        if (scene.version === 1 && scene.gravity !== 1 && scene.gravity !== -1) {
+            throw new SceneFormatError(`Invalid gravity: ${scene.gravity}`);
+        }
+        if (scene.version > 1 && !Number.isFinite(scene.gravityAngle)) {
+            throw new SceneFormatError(`Invalid gravity angle: ${scene.gravityAngle}`);
+        }
+        if (!isCount(scene.seed) || !isCount(scene.randomState) || !isCount(scene.frame)) {
+            throw new SceneFormatError('Seed, random state and frame must be non-negative integers');
+        }
+        if (!scene.params || typeof scene.params !== 'object') {
+            throw new SceneFormatError('Missing physics parameters');
+        }
+        for (const [key, value] of Object.entries(scene.params)) {
+            if (RETIRED_PARAMS.includes(key)) continue;
+            const problem = checkParam(key, value);
+            if (problem) throw new SceneFormatError(problem);
+        }
+        
+        const cells = scene.cells;
+        if (!Array.isArray(cells) || cells.length % 2 !== 0) {
+            throw new SceneFormatError('Cell data must be a list of [type, count] pairs');
+        }
+        const grid = new Uint8Array(this.width * this.height);
+        let filled = 0;
+        let sandCount = 0;
+        let gasCount = 0;
+        
+        for (let i = 0; i < cells.length; i += 2) {
+            const type = cells[i];
+            const count = cells[i + 1];
+            if (!MATERIALS.has(type)) {
+                throw new SceneFormatError(`Unknown material ID ${type} in cell run ${i / 2}`);
+            }
+            if (!Number.isInteger(count) || count <= 0) {
+                throw new SceneFormatError(`Invalid length ${count} in cell run ${i / 2}`);
+            }
+            if (filled + count > grid.length) {
+                throw new SceneFormatError(`Cell data holds more than ${grid.length} cells`);
+            }
+            grid.fill(type, filled, filled + count);
+            filled += count;
+            if (this.sandPhysics.isSand(type)) sandCount += count;
+            if (savesPressure(type, scene.version)) gasCount += count;
+        }
+        if (filled !== grid.length) {
+            throw new SceneFormatError(`Cell data holds fewer than ${this.width * this.height} cells`);
+        }
+        
+        const grains = scene.grains;
+        if (!grains || !isNumberArray(grains.friction) || !isNumberArray(grains.mass)) {
+            throw new SceneFormatError('Grain friction and mass must be lists of numbers');
+        }
+        if (grains.friction.length !== sandCount || grains.mass.length !== sandCount) {
+            throw new SceneFormatError(`Expected properties for ${sandCount} sand grains`);
+        }
+        if (scene.version > 2 && (!isNumberArray(grains.velocity) || grains.velocity.length !== sandCount)) {
+            throw new SceneFormatError(`Expected velocities for ${sandCount} sand grains`);
+        }
+        if (scene.version > 5 && (!isNumberArray(grains.wetness) || grains.wetness.length !== sandCount ||
+            !grains.wetness.every(value => value >= 0 && value <= 1))) {
+            throw new SceneFormatError(`Expected wetness between 0 and 1 for ${sandCount} sand grains`);
+        }
+        if (scene.version > 4 && (!scene.air || !isNumberArray(scene.air.pressure) || scene.air.pressure.length !== gasCount)) {
+            throw new SceneFormatError(`Expected pressures for ${gasCount} ${scene.version > 7 ? 'gas' : 'air'} cells`);
+        }
+        if (scene.version > 6 && (!isNumberArray(scene.flow) || scene.flow.length % 3 !== 0 ||
+            !scene.flow.every((value, i) => i % 3 !== 0 || (isCount(value) && value < grid.length)))) {
+            throw new SceneFormatError('Flow must be a list of [cell, x, y] triples');
+        }
+        
+        if (scene.version > 3) {
+            if (!Array.isArray(scene.gates) || !Array.isArray(scene.gateSchedule)) {
+                throw new SceneFormatError('Gates and the gate schedule must be lists');
+            }
+            const names = new Set();
+            for (const gate of scene.gates) {
+                if (!gate || typeof gate.name !== 'string' || gate.name === '' || names.has(gate.name)) {
+                    throw new SceneFormatError(`Missing or repeated gate name: ${gate && gate.name}`);
+                }
+                if (typeof gate.open !== 'boolean' || !Array.isArray(gate.cells) ||
+                    !gate.cells.every(i => isCount(i) && i < grid.length)) {
+                    throw new SceneFormatError(`Invalid gate ${gate.name}`);
+                }
+                names.add(gate.name);
+            }
+            for (const entry of scene.gateSchedule) {
+                if (!entry || !isCount(entry.frame) || !names.has(entry.name) || typeof entry.open !== 'boolean') {
+                    throw new SceneFormatError('Invalid gate schedule entry');
+                }
+            }
+        }
+        
+        return grid;
+    }
+    
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+    
+    // Point gravity at an angle in degrees: 0 is straight down the grid (+y) and
+    // positive angles lean it toward +x. Not while a turn is steering gravity (see
+    // rotate), which would overwrite it on the next update.
+    setGravityAngle(degrees) {
+        if (this.rotation) {
+            throw new Error('Cannot change gravity while the frame is turning');
+        }
+        this.pointGravity(degrees);
+    }
+    
+    pointGravity(degrees) {
+        const angle = normalizeAngle(degrees);
+        this.gravityAngle = angle;
+        
+        // Snap tiny components to zero so right angles give exact axis-aligned gravity
+        const radians = angle * Math.PI / 180;
+        const snap = (value) => (Math.abs(value) < 1e-9 ? 0 : value);
+        this.gravity = { x: snap(Math.sin(radians)), y: snap(Math.cos(radians)) };
+    }
+    
+    // Turn the frame upside down: mirror gravity top to bottom, keeping any tilt.
+    // Like setGravityAngle, not while the frame is turning.
+    flip() {
+        this.setGravityAngle(180 - this.gravityAngle);
+        this.emit('flip', { frame: this.frameCount, gravityAngle: this.gravityAngle });
+    }
+    
+    // Turn the frame through `degrees` (in gravity-angle terms) over `frames` updates.
+    // Gravity sweeps with an ease-in-out so material cascades along the walls as the
+    // frame turns; at the end the grid is remapped by the whole turns it supports,
+    // leaving the contents upright with gravity back where it started (see finishRotation).
+    rotate(degrees, frames = 60) {
+        if (typeof degrees !== 'number' || typeof frames !== 'number') {
+            throw new TypeError('Rotation degrees and frames must be numbers');
+        }
+        if (!Number.isFinite(degrees)) {
+            throw new RangeError(`Rotation must be a finite number of degrees: ${degrees}`);
+        }
+        if (!Number.isFinite(frames) || frames <= 0) {
+            throw new RangeError(`Rotation must take a positive number of frames: ${frames}`);
+        }
+        
+        this.rotation = {
+            from: this.gravityAngle,
+            degrees,
+            frames: Math.max(1, Math.round(frames)),
+            frame: 0,
+            turned: 0 // Degrees turned so far
+        };
+    }
+    
+    advanceRotation() {
+        const rotation = this.rotation;
+        rotation.frame++;
+        const t = rotation.frame / rotation.frames;
+        rotation.turned = rotation.degrees * t * t * (3 - 2 * t);
+        this.pointGravity(rotation.from + rotation.turned);
+        
+        if (rotation.frame === rotation.frames) this.finishRotation();
+    }
+    
+    // Remap the grid by the nearest number of turns the frame's shape allows: quarter
+    // turns for a square grid, half turns otherwise. Any remainder stays as tilt.
+    finishRotation() {
+        const degrees = this.rotation.degrees;
+        const quarterTurns = this.width === this.height
+            ? Math.round(degrees / 90)
+            : 2 * Math.round(degrees / 180);
+        this.rotation = null;
+        this.rotateContents(quarterTurns);
+    }
+    
+    // Rotate the grid contents by quarter turns (positive turns the picture the way a
+    // positive gravity angle leans) and turn gravity back to match, so the scene is
+    // physically unchanged. Odd quarter turns need a square grid.
+    rotateContents(quarterTurns) {
+        const turns = ((quarterTurns % 4) + 4) % 4;
+        if (turns === 0) return;
+        if (turns % 2 === 1 && this.width !== this.height) {
+            throw new RangeError(`Cannot turn a ${this.width}x${this.height} grid by a quarter turn`);
+        }
+        
+        const w = this.width;
+        const h = this.height;
+        const mapCell = [
+            null,
+            (x, y) => ({ x: w - 1 - y, y: x }),
+            (x, y) => ({ x: w - 1 - x, y: h - 1 - y }),
+            (x, y) => ({ x: y, y: h - 1 - x })
+        ][turns];
+        
+        const grid = this.nextGrid;
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const to = mapCell(x, y);
+                grid[to.y * w + to.x] = this.grid[y * w + x];
+            }
+        }
+        
+        this.nextGrid = this.grid;
+        this.grid = grid;
+        this.particleProps.remapCells(mapCell);
+        this.flow.remapCells(mapCell);
+        this.bubbleManager.remapCells(mapCell);
+        for (const gate of this.gates.values()) {
+            gate.cells = gate.cells.map(i => {
+                const to = mapCell(i % w, Math.floor(i / w));
+                return to.y * w + to.x;
+            });
+        }
+        this.setGravityAngle(this.gravityAngle - turns * 90);
+    }
+    
+    update() {
+        this.movedGrains = 0;
+        if (this.rotation) this.advanceRotation();
+        this.runGateSchedule();
+        
+        // Find bubble clusters, then pinch off tall ones and pull close ones together
+        this.gravityFrame = new GravityFrame(this.gravity);
+        this.clusters = this.bubbleManager.findClusters(this.grid);
+        for (const { id, mergedIds } of this.bubbleManager.merges) {
+            const size = this.clusters.find(cluster => cluster.id === id).size();
+            this.emit('bubbleMerged', { frame: this.frameCount, id, mergedIds, size });
+        }
+        this.bubbleManager.resolveSplitsAndMerges(this.grid, this.gravityFrame, (i, j) => this.swapCells(i, j));
+        this.buildPressure();
+        this.flow.relax(this.grid);
+        
+        // Write the step into the spare buffer, starting from the current grid
+        const newGrid = this.nextGrid;
+        newGrid.set(this.grid);
+        
+        // Cells already swapped this step; each cell takes part in at most one move
+        this.claimed.fill(0);
+        
+        // Process particles from the lowest layer up, whichever way gravity points
+        const down = this.gravityFrame.down;
+        if (down.y !== 0) {
+            for (let i = 0; i < this.height; i++) {
+                const y = down.y > 0 ? this.height - 1 - i : i;
+                for (let x = 0; x < this.width; x++) {
+                    this.updateParticle(x, y, newGrid);
+                }
+            }
+        } else {
+            for (let i = 0; i < this.width; i++) {
+                const x = down.x > 0 ? this.width - 1 - i : i;
+                for (let y = 0; y < this.height; y++) {
+                    this.updateParticle(x, y, newGrid);
+                }
+            }
+        }
+        
+        this.nextGrid = this.grid;
+        this.grid = newGrid;
+        this.frameCount++;
+        this.emit('step', { frame: this.frameCount, movedGrains: this.movedGrains });
+        this.trackSettling();
+        
+        if (this.auditInterval > 0 && this.frameCount % this.auditInterval === 0) {
+            this.auditCounts();
+        }
+    }
+    
+    // Count the grid as moving from this frame on
+    startSettling() {
+        this.settled = false;
+        this.settleTime = null; // Steps the last settling took, once there has been one
+        this.motionStart = this.frameCount;
+        this.quietFrames = 0;
+    }
+    
+    // Settle detection, run after each step. The grid has settled once no more than
+    // settleThreshold grains have moved in each of the last settleFrames steps; it
+    // then emits 'settled' with the settle time, the steps from when the motion
+    // started (the reset or load, or the first busy step after settling) to the
+    // last busy one. Settle times are in steps, so they don't depend on frame rate.
+    trackSettling() {
+        if (this.movedGrains > this.settleThreshold) {
+            if (this.settled) {
+                this.settled = false;
+                this.motionStart = this.frameCount - 1;
+            }
+            this.quietFrames = 0;
+            return;
+        }
+        
+        this.quietFrames++;
+        if (!this.settled && this.quietFrames >= this.settleFrames) {
+            this.settled = true;
+            this.settleTime = this.frameCount - this.quietFrames - this.motionStart;
+            this.emit('settled', { frame: this.frameCount, settleTime: this.settleTime });
+        }
+    }
+    
+    // Air trapped under sand builds pressure, faster in bigger and deeper pockets,
+    // until it outweighs the sand over the pocket's vent and bursts through (see
+    // burstPocket). Air with liquid over it has nothing to push against.
+    buildPressure() {
+        const frame = this.gravityFrame;
+        const pressure = this.particleProps.pressure;
+        const corners = [[0, 0], [this.width - 1, 0], [0, this.height - 1], [this.width - 1, this.height - 1]]
+            .map(([x, y]) => frame.depth(x, y));
+        const top = Math.min(...corners);
+        const bottom = Math.max(...corners);
+        
+        for (const cluster of this.clusters) {
+            const air = cluster.cells.filter(i => this.grid[i] === cluster.type);
+            const vent = this.bubbleManager.findVent(this.grid, cluster, frame);
+            if (!vent) {
+                for (const i of air) pressure[i] = 0;
+                continue;
+            }
+            
+            const depth = (frame.depth(vent.x, vent.y) - top) / (bottom - top);
+            const build = this.params.PRESSURE_BUILD * Math.sqrt(air.length) * (1 + depth);
+            let total = 0;
+            for (const i of air) {
+                pressure[i] += build;
+                total += pressure[i];
+            }
+            if (total / air.length >= vent.overburden * this.params.OVERBURDEN_STRENGTH) {
+                this.burstPocket(air, vent);
+                this.emit('bubbleReleased', { frame: this.frameCount, id: cluster.id, x: vent.x, y: vent.y, size: air.length });
+            }
+        }
+    }
+    
+    // Punch a channel from a pocket's vent up through the sand over it. The
+    // channel's sand is thrown up into the liquid above, the pocket's air rises
+    // into the channel, and liquid from where the sand landed fills the space the
+    // air left. Pockets of 20 cells or more open a channel three cells wide.
+    burstPocket(air, vent) {
+        const frame = this.gravityFrame;
+        const w = this.width;
+        for (const i of air) this.particleProps.pressure[i] = 0;
+        
+        // Send the deepest air first, so the pocket drains from the bottom
+        const depthOf = (i) => frame.depth(i % w, Math.floor(i / w));
+        const rising = [...air].sort((a, b) => depthOf(b) - depthOf(a));
+        
+        for (const lateral of air.length >= 20 ? [0, -1, 1] : [0]) {
+            // The column of sand over the vent, bottom to top, and the cell on top of it
+            const channel = [];
+            let cell = frame.offset(vent.x, vent.y, -1, lateral);
+            while (this.inBounds(cell.x, cell.y) && this.sandPhysics.isSand(this.grid[cell.y * w + cell.x])) {
+                channel.push(cell.y * w + cell.x);
+                cell = frame.offset(cell.x, cell.y, -1, 0);
+            }
+            if (channel.length === 0 || !this.inBounds(cell.x, cell.y)) continue;
+            
+            // Throw each grain into the liquid over the sand, scattered a little sideways
+            let reach = 0;
+            for (const from of channel) {
+                let landing = -1;
+                while (landing === -1 && reach < channel.length * 3) {
+                    const spot = frame.offset(cell.x, cell.y, -reach, this.random.int(3) - 1);
+                    reach++;
+                    if (this.inBounds(spot.x, spot.y) &&
+                        MATERIALS.phaseOf(this.grid[spot.y * w + spot.x]) === PHASES.LIQUID) {
+                        landing = spot.y * w + spot.x;
+                    }
+                }
+                if (landing === -1) break;
+                
+                this.swapCells(from, landing);
+                if (rising.length > 0) this.swapCells(from, rising.shift());
+            }
+        }
+    }
+    
+    // Swap two cells outside of a step, with their properties
+    swapCells(i, j) {
+        const type = this.grid[i];
+        this.grid[i] = this.grid[j];
+        this.grid[j] = type;
+        this.particleProps.swapIndices(i, j);
+        if (this.sandPhysics.isSand(this.grid[i]) || this.sandPhysics.isSand(this.grid[j])) this.movedGrains++;
+    }
+    
+    isClaimed(x, y) {
+        return this.claimed[y * this.width + x] === 1;
+    }
+    
+    // Swap two cells of the step's output if neither has been claimed yet. Every
+    // move goes through here, so each step is a permutation of the previous grid.
+    // Solid cells are never displaced.
+    moveCell(newGrid, x, y, toX, toY) {
+        const from = y * this.width + x;
+        const to = toY * this.width + toX;
+        if (this.claimed[from] === 1 || this.claimed[to] === 1) return false;
+        if (MATERIALS.phaseOf(this.grid[to]) === PHASES.SOLID) return false;
+        
+        newGrid[to] = this.grid[from];
+        newGrid[from] = this.grid[to];
+        this.particleProps.swapIndices(from, to);
+        if (this.sandPhysics.isSand(newGrid[to]) || this.sandPhysics.isSand(newGrid[from])) this.movedGrains++;
+        
+        // Liquid that moves, on its own or pushed aside, flows the way it went
+        if (MATERIALS.phaseOf(this.grid[from]) === PHASES.LIQUID) this.flow.push(to, toX - x, toY - y);
+        if (MATERIALS.phaseOf(this.grid[to]) === PHASES.LIQUID) this.flow.push(from, x - toX, y - toY);
+        
+        this.claimed[from] = 1;
+        this.claimed[to] = 1;
+        return true;
+    }
+    
+    countMaterials(grid = this.grid) {
+        const counts = {};
+        for (const material of MATERIALS.all()) {
+            counts[material.id] = 0;
+        }
+        for (let i = 0; i < grid.length; i++) {
+            counts[grid[i]]++;
+        }
+        return counts;
+    }
+    
+    // Record the current material counts as the baseline the audit checks against.
+    // Call after intentionally adding or removing material.
+    resetAudit() {
+        this.expectedCounts = this.countMaterials();
+    }
+    
+    // Compare material counts against the baseline and log any drift
+    auditCounts() {
+        const counts = this.countMaterials();
+        const drift = {};
+        let drifted = false;
+        
+        for (const type of Object.keys(counts)) {
+            const delta = counts[type] - this.expectedCounts[type];
+            if (delta !== 0) {
+                drift[type] = delta;
+                drifted = true;
+            }
+        }
+        
+        if (drifted) {
+            this.driftLog.push({ frame: this.frameCount, counts, drift });
+            console.warn(`Frame ${this.frameCount}: Material count drift detected!`, drift);
+        }
+        
+        return !drifted;
+    }
+    
+    // Run the behavior of the material at (x, y). Behaviors receive a step object
+    // with the step's output grid (pass it to moveCell), the bubble cluster covering
+    // the cell (if any), the gravity frame, the position of the cell below (next) and
+    // its material (below), and the cell's own material. The step object is reused
+    // from cell to cell, so behaviors must not keep it.
+    updateParticle(x, y, newGrid) {
+        const particle = this.grid[y * this.width + x];
+        
+        if (particle === PARTICLE_TYPES.EMPTY) return;
+        
+        // Already displaced by another particle this step
+        if (this.isClaimed(x, y)) return;
+        
+        const frame = this.gravityFrame;
+        const next = frame.offset(x, y, 1, 0);
+        
+        // Check boundaries
+        if (!this.inBounds(next.x, next.y)) return;
+        
+        const step = this.stepState;
+        step.newGrid = newGrid;
+        step.cluster = this.bubbleManager.clusterAt(x, y);
+        step.frame = frame;
+        step.next = next;
+        step.below = this.grid[next.y * this.width + next.x];
+        step.material = MATERIALS.get(particle);
+        MATERIALS.getBehavior(particle)(this, x, y, step);
+    }
+    
+    // Granular behavior: fall, slide off bubbles and spread into dunes
+    updateGranular(x, y, step) {
+        const { newGrid, frame, next, below } = step;
+        const props = this.particleProps.getProperties(x, y);
+        
+        // A wet grain at an air pocket clings to the grains around it, so clumps hold
+        // together and walls stand steeper than the angle of repose
+        const cohesion = this.updateWetness(x, y);
+        if (cohesion > 0 && props.velocity === 0 && this.clings(x, y, cohesion, frame)) return;
+        
+        // A fast enough current picks the grain up and carries it along
+        const carry = this.findCurrent(x, y, props, newGrid);
+        if (carry && this.moveCell(newGrid, x, y, carry.x, carry.y)) {
+            // The water it trades places with moves along with the current, so it
+            // isn't kicked back against it
+            this.flow.push(y * this.width + x, carry.x - x, carry.y - y);
+            this.particleProps.setVelocity(carry.x, carry.y, 0);
+            return;
+        }
+        
+        // Nothing underneath: keep falling
+        if (this.sandPhysics.canMoveTo(this.grid, next.x, next.y, this.grid[y * this.width + x])) {
+            this.fallGranular(x, y, step, props);
+            return;
+        }
+        
+        // Landed: whatever speed the grain had is lost in the impact
+        this.particleProps.setVelocity(x, y, 0);
+        
+        // Sand cannot pass through air bubbles - they are solid barriers
+        if (MATERIALS.phaseOf(below) === PHASES.GAS) {
+            // Try to slide laterally off the bubble
+            const lateralMove = this.sandPhysics.tryLateralSlide(this.grid, x, y, props.friction, frame);
+            if (lateralMove) {
+                this.moveCell(newGrid, x, y, lateralMove.x, lateralMove.y);
+            }
+            return;
+        }
+        
+        // Resting on sand: avalanche where the pile is steeper than the angle of repose
+        if (this.sandPhysics.isSand(below)) {
+            const spreadMove = this.sandPhysics.tryLateralSlide(this.grid, x, y, props.friction, frame);
+            if (spreadMove && this.moveCell(newGrid, x, y, spreadMove.x, spreadMove.y)) {
+                return;
+            }
+        }
+        
+        // Try to find best path (multi-directional pathfinding)
+        const move = this.sandPhysics.findBestPath(this.grid, x, y, frame, props);
+        if (move) {
+            this.moveCell(newGrid, x, y, move.x, move.y);
+        }
+    }
+    
+    // Where the current around the grain at (x, y) carries it this step, or null.
+    // The grain feels the mean flow of the liquid beside it, and is lifted once that
+    // beats EROSION_SPEED times its weight in the liquid (mass times density over
+    // the liquid's), so light sand is picked up first. Faster water carries it more
+    // often, and it drops out again where the current slows.
+    findCurrent(x, y, props, newGrid) {
+        const w = this.width;
+        let flowX = 0;
+        let flowY = 0;
+        let liquid = 0;
+        let liquidDensity = 0;
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            if (!this.inBounds(x + dx, y + dy)) continue;
+            const j = (y + dy) * w + x + dx;
+            if (MATERIALS.phaseOf(this.grid[j]) !== PHASES.LIQUID) continue;
+            flowX += this.flow.x[j];
+            flowY += this.flow.y[j];
+            liquidDensity += PARTICLE_DENSITY[this.grid[j]];
+            liquid++;
+        }
+        if (liquid === 0) return null;
+        
+        flowX /= liquid;
+        flowY /= liquid;
+        liquidDensity /= liquid;
+        const speed = Math.hypot(flowX, flowY);
+        const weight = props.mass * (PARTICLE_DENSITY[this.grid[y * w + x]] - liquidDensity) / liquidDensity;
+        const threshold = this.params.EROSION_SPEED * weight;
+        if (speed <= threshold || this.random.next() >= Math.min(1, (speed - threshold) / threshold)) return null;
+        
+        // Step along one axis, picked in proportion to the flow along each
+        const alongX = this.random.next() * (Math.abs(flowX) + Math.abs(flowY)) < Math.abs(flowX);
+        const target = alongX ? { x: x + Math.sign(flowX), y } : { x, y: y + Math.sign(flowY) };
+        return this.canFallInto(newGrid, target.x, target.y, this.grid[y * w + x]) ? target : null;
+    }
+    
+    // Wet the grain at (x, y) from the cells around it and return how hard its water
+    // bridges pull on its neighbors, from 0 to WET_COHESION. Grains touching water
+    // soak up, grains touching only air dry out, and buried grains keep what they
+    // hold. Bridges only form where a wet grain meets air; under water they're gone.
+    updateWetness(x, y) {
+        const wetness = this.particleProps.wetness;
+        const i = y * this.width + x;
+        let water = false;
+        let air = false;
+        
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!this.inBounds(nx, ny)) continue;
+                const phase = MATERIALS.phaseOf(this.grid[ny * this.width + nx]);
+                if (phase === PHASES.LIQUID) water = true;
+                else if (phase === PHASES.GAS) air = true;
+            }
+        }
+        
+        if (water) {
+            wetness[i] = Math.min(1, wetness[i] + this.params.WETTING_RATE);
+        } else if (air) {
+            wetness[i] = Math.max(0, wetness[i] - this.params.DRYING_RATE);
+        }
+        
+        return air ? wetness[i] * this.params.WET_COHESION : 0;
+    }
+    
+    // True if a grain with the given cohesion holds on to the grains beside and
+    // above it this step. Each one it touches is a bridge that lets go with
+    // chance 1 - cohesion, and the grain stays put unless they all do.
+    clings(x, y, cohesion, frame) {
+        let bonds = 0;
+        for (let depth = -1; depth <= 0; depth++) {
+            for (let lateral = -1; lateral <= 1; lateral++) {
+                const cell = frame.offset(x, y, depth, lateral);
+                if ((depth !== 0 || lateral !== 0) && this.inBounds(cell.x, cell.y) &&
+                    this.sandPhysics.isSand(this.grid[cell.y * this.width + cell.x])) {
+                    bonds++;
+                }
+            }
+        }
+        return bonds > 0 && this.random.next() >= (1 - cohesion) ** bonds;
+    }
+    
+    // Fall with momentum: speed up, then move as many cells down as the speed allows
+    // (rounded at random, so fractional speeds average out over steps), stopping
+    // short of anything in the way. On a tilted frame the grain may also slip one
+    // cell toward the low side.
+    fallGranular(x, y, step, props) {
+        const { newGrid, frame, below } = step;
+        const particle = this.grid[y * this.width + x];
+        let velocity = this.sandPhysics.accelerate(props.velocity, particle, below, props.mass);
+        const cells = Math.floor(velocity) + (this.random.next() < velocity % 1 ? 1 : 0);
+        
+        // Deepest cell along the path that is open and not yet claimed this step;
+        // claimed cells can be passed through as long as they are still open
+        let target = null;
+        let depth = 1;
+        for (; depth <= cells; depth++) {
+            const cell = frame.offset(x, y, depth, 0);
+            if (!this.canFallInto(newGrid, cell.x, cell.y, particle)) break;
+            if (!this.isClaimed(cell.x, cell.y)) target = cell;
+        }
+        
+        // Hitting something on the way stops the grain where it ends up
+        if (depth <= cells) {
+            velocity = target ? frame.depth(target.x, target.y) - frame.depth(x, y) : 0;
+        }
+        
+        const leanSide = Math.sign(frame.lean);
+        if (target && leanSide !== 0 && this.random.next() < Math.abs(frame.lean)) {
+            const slip = frame.offset(target.x, target.y, 0, leanSide);
+            if (this.canFallInto(newGrid, slip.x, slip.y, particle) && !this.isClaimed(slip.x, slip.y)) {
+                target = slip;
+            }
+        }
+        
+        if (target && this.moveCell(newGrid, x, y, target.x, target.y)) {
+            this.particleProps.setVelocity(target.x, target.y, velocity);
+        } else {
+            this.particleProps.setVelocity(x, y, velocity);
+        }
+    }
+    
+    // Open for a falling grain both before and after this step's moves so far
+    canFallInto(newGrid, x, y, particle) {
+        return this.sandPhysics.canMoveTo(this.grid, x, y, particle) &&
+               this.sandPhysics.canMoveTo(newGrid, x, y, particle);
+    }
+    
+    // Gas behavior: rise, spread out when too tall and gather into bubbles
+    updateGas(x, y, step) {
+        const { newGrid, cluster, frame } = step;
+        const particle = this.grid[y * this.width + x];
+        const particleDensity = PARTICLE_DENSITY[particle];
+        // Sand holds air down; trapped air gets out by bursting through it (see buildPressure)
+        const canEnter = (target) => target === PARTICLE_TYPES.EMPTY ||
+            (PARTICLE_DENSITY[target] > particleDensity && MATERIALS.phaseOf(target) !== PHASES.GRANULAR);
+        
+        // Apply buoyancy - bubbles rise
+        const buoyancyMove = this.bubblePhysics.applyBuoyancy(this.grid, x, y, frame);
+        if (buoyancyMove && this.moveCell(newGrid, x, y, buoyancyMove.x, buoyancyMove.y)) {
+            return;
+        }
+        
+        // Apply spreading force if cluster is too tall
+        const spreadMove = this.bubblePhysics.applySpreadForce(this.grid, cluster, x, y, frame);
+        if (spreadMove && canEnter(this.grid[spreadMove.y * this.width + spreadMove.x]) &&
+            this.moveCell(newGrid, x, y, spreadMove.x, spreadMove.y)) {
+            return;
+        }
+        
+        // Bubble attraction - move towards nearby bubbles for clustering
+        const attractionMove = this.bubblePhysics.applyAttraction(this.grid, x, y, frame);
+        if (attractionMove && canEnter(this.grid[attractionMove.y * this.width + attractionMove.x]) &&
+            this.moveCell(newGrid, x, y, attractionMove.x, attractionMove.y)) {
+            return;
+        }
+        
+        // Natural rising for bubbles: trade places with denser material above
+        const up = frame.offset(x, y, -1, 0);
+        if (this.inBounds(up.x, up.y)) {
+            const above = this.grid[up.y * this.width + up.x];
+            if (canEnter(above) && above !== particle) {
+                this.moveCell(newGrid, x, y, up.x, up.y);
+            }
+        }
+    }
+    
+    // Liquid behavior: sink below lighter material and spread sideways
+    updateLiquid(x, y, step) {
+        const { newGrid, frame, next, below } = step;
+        const particleDensity = PARTICLE_DENSITY[this.grid[y * this.width + x]];
+        const belowDensity = PARTICLE_DENSITY[below];
+        
+        // Particle should sink based on density difference
+        if (particleDensity > belowDensity) {
+            // Try to move straight down
+            if ((below === PARTICLE_TYPES.EMPTY || belowDensity < particleDensity) &&
+                this.moveCell(newGrid, x, y, next.x, next.y)) {
+                return;
+            }
+            
+            // Try diagonal movement, favouring the low side of a tilt
+            if (this.random.next() > 0.7) {
+                const diag = frame.offset(x, y, 1, frame.pickSide(this.random));
+                
+                if (this.inBounds(diag.x, diag.y)) {
+                    const target = this.grid[diag.y * this.width + diag.x];
+                    const diagDensity = PARTICLE_DENSITY[target];
+                    
+                    if ((target === PARTICLE_TYPES.EMPTY || diagDensity < particleDensity) &&
+                        this.moveCell(newGrid, x, y, diag.x, diag.y)) {
+                        return;
+                    }
+                }
+            }
+        }
+        
+        // Liquid spreads across the gravity axis, downhill on a tilt
+        if (this.random.next() > 0.5) {
+            const spread = frame.offset(x, y, 0, frame.pickSide(this.random));
+            
+            if (this.inBounds(spread.x, spread.y) &&
+                this.grid[spread.y * this.width + spread.x] === PARTICLE_TYPES.EMPTY) {
+                this.moveCell(newGrid, x, y, spread.x, spread.y);
+            }
+        }
+    }
+    
+    inBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+}
+
+// Expose the engine to Node (headless runs and tests); in the browser the
+// declarations above are shared with later scripts as globals.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GRID_WIDTH,
+        GRID_HEIGHT,
+        DEFAULT_PHYSICS_PARAMS,
+        PARAM_LIMITS,
+        PHASES,
+        PHASE_ORDER,
+        PARTICLE_TYPES,
+        PARTICLE_COLORS,
+        PARTICLE_DENSITY,
+        MaterialRegistry,
+        MATERIALS,
+        ParticleProperties,
+        FlowField,
+        EventEmitter,
+        SIMULATION_EVENTS,
+        SETTLE_THRESHOLD,
+        SETTLE_FRAMES,
+        BRUSH_SHAPES,
+        BubbleCluster,
+        BubbleManager,
+        SandPhysics,
+        BubblePhysics,
+        GravityFrame,
+        SCENE_FORMAT,
+        SCENE_VERSION,
+        SceneFormatError,
+        parseScene,
+        normalizeAngle,
+        CONTAINER_SHAPES,
+        CONTAINER_GATES,
+        createContainerMask,
+        DEFAULT_MIX,
+        LAYOUTS,
+        FRAME_BYTES_PER_CELL,
+        frameViews,
+        Simulation
+    };
+}
@@ -0,0 +1,104 @@
+// Web Worker that steps the sand-art engine off the main thread (see SimulationHost
+// in simulation.js). Frames (cells plus bubble labels, see frameViews) go back to
+// the page in transferable buffers, and the page hands each buffer back once it
+// has been drawn, so no grid is ever copied across threads or allocated per frame.
+importScripts('seeded-random.js', 'sand-engine.js');
+
+// Same pace as stepping once per animation frame on the main thread
+const STEP_INTERVAL = 1000 / 60;
+
+// Engine methods the page can call; each arrives as a message of that type
+const COMMANDS = [
+    'flip', 'paint', 'setParams', 'resetParams', 'setGravityAngle', 'rotate', 'reset', 'setLayout', 'setContainer',
+    'addGate', 'removeGate', 'setGate', 'toggleGate', 'scheduleGate', 'loadScene', 'toScene', 'step', 'snapshot'
+];
+
+let simulation = null;
+let running = false;
+let timer = null;
+let lastStep = 0;
+let ack = 0; // ID of the last command handled, echoed so the page knows what a frame reflects
+let events = []; // Engine events since the last message, passed on with the next one
+let stale = false; // A command changed the stopped grid while no buffer was free to show it
+const freeBuffers = [];
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init':
+            // Materials the page registered beyond the built-in ones
+            for (const material of message.materials) {
+                if (!(material.name in PARTICLE_TYPES)) MATERIALS.register(material.name, material);
+            }
+            simulation = new Simulation(message.options);
+            for (const type of SIMULATION_EVENTS) {
+                simulation.on(type, (detail) => events.push({ type, detail }));
+            }
+            break;
+        case 'buffer':
+            freeBuffers.push(message.buffer);
+            if (stale && !running) showChanges();
+            schedule();
+            break;
+        case 'start':
+            running = true;
+            schedule();
+            break;
+        case 'stop':
+            running = false;
+            break;
+        default:
+            if (COMMANDS.includes(message.type)) runCommand(message);
+    }
+};
+
+function runCommand(message) {
+    let result;
+    let error = null;
+    try {
+        result = simulation[message.type](...message.args);
+    } catch (e) {
+        error = { name: e.name, message: e.message };
+    }
+    
+    ack = message.id;
+    self.postMessage({ type: 'reply', id: message.id, result, error, state: simulation.getState(), ack, events: takeEvents() });
+    
+    // Running, the next step shows what the command did; stopped, nothing else would
+    if (!running) showChanges();
+}
+
+function showChanges() {
+    stale = freeBuffers.length === 0;
+    if (!stale) sendFrame();
+}
+
+function takeEvents() {
+    const taken = events;
+    events = [];
+    return taken;
+}
+
+// Step at most once per STEP_INTERVAL, and only while a buffer is free to carry the frame
+function schedule() {
+    if (!running || timer !== null || freeBuffers.length === 0) return;
+    const wait = Math.max(0, lastStep + STEP_INTERVAL - performance.now());
+    timer = setTimeout(step, wait);
+}
+
+function step() {
+    timer = null;
+    if (!running || freeBuffers.length === 0) return;
+    
+    lastStep = performance.now();
+    simulation.update();
+    sendFrame();
+    schedule();
+}
+
+function sendFrame() {
+    const buffer = freeBuffers.pop();
+    simulation.writeFrame(buffer);
+    self.postMessage({ type: 'frame', buffer, state: simulation.getState(), ack, events: takeEvents() }, [buffer]);
+}
@@ -0,0 +1,52 @@
+// Seeded pseudo-random number generator shared by all three simulations
+// Mulberry32: small, fast and good enough for visual simulation. The same seed
+// always produces the same sequence, so a run can be replayed exactly.
+
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Pick a fresh seed for runs that don't request one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Parse a user-entered seed; returns null if it isn't a whole number
+    static parseSeed(value) {
+        if (value === null || value === undefined || String(value).trim() === '') return null;
+        const seed = Number(value);
+        return Number.isInteger(seed) && seed >= 0 ? seed >>> 0 : null;
+    }
+
+    // Uniform float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Uniform float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Uniform integer in [0, n)
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    // Restart the sequence, optionally from a new seed
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+}
+
+// Browser pages get SeededRandom as a global from this script; Node can require it
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
@@ -1,933 +1,1087 @@
+// Sand-art page: canvas renderer and controls attached to the engine in sand-engine.js
+
 // Constants
-const CANVAS_WIDTH = 600;
-const CANVAS_HEIGHT = 400;
 const PARTICLE_SIZE = 4;
-const GRID_WIDTH = Math.floor(CANVAS_WIDTH / PARTICLE_SIZE);
-const GRID_HEIGHT = Math.floor(CANVAS_HEIGHT / PARTICLE_SIZE);
-
-// Physics Constants
-const PHYSICS_PARAMS = {
-    SURFACE_TENSION_FACTOR: 2.0,  // Increased to allow taller clusters before splitting
-    MERGE_DISTANCE: 3,  // Increased merge distance for better clustering
-    ANGLE_OF_REPOSE: 35,
-    SAND_FRICTION_MIN: 0.3,
-    SAND_FRICTION_MAX: 0.5,
-    SAND_MASS_MIN: 1.0,
-    SAND_MASS_MAX: 1.5,
-    GAP_SIZE: 0.8,
-    WATER_DRAG: 0.95,
-    BUBBLE_SEARCH_RADIUS: 3,
-    BUOYANCY: 0.25,  // Increased for faster bubble rising
-    SPREAD_FORCE: 0.2,  // Increased for better horizontal spreading
-    COHESION: 0.1,  // Increased cohesion
-    MAX_SLOPE_RATIO: 0.7
-};
-
-// Particle types
-const PARTICLE_TYPES = {
-    EMPTY: 0,
-    WATER: 1,
-    SAND_HEAVY: 2,
-    SAND_MEDIUM: 3,
-    SAND_LIGHT: 4,
-    AIR: 5
-};
+const MAX_TILT = 180; // Degrees either way
+const TILT_STEP = 5;  // Degrees per arrow key press
+const FRAMES_PER_SECOND = 60; // The animation loop steps the engine once per frame
+const SHARES_INTERVAL = 15; // Animation frames between updates of the material percentages
+const BUBBLE_SMOOTHING = 2; // Chaikin iterations applied to bubble outlines
+const SCREENSAVER_TILT = 30; // Degrees the screensaver's tilt action swings either way
 
-// Particle colors
-const PARTICLE_COLORS = {
-    [PARTICLE_TYPES.EMPTY]: '#1a1a2e',
-    [PARTICLE_TYPES.WATER]: '#4a90e2',
-    [PARTICLE_TYPES.SAND_HEAVY]: '#8b4513',
-    [PARTICLE_TYPES.SAND_MEDIUM]: '#a0522d',
-    [PARTICLE_TYPES.SAND_LIGHT]: '#daa520',
-    [PARTICLE_TYPES.AIR]: '#e0e0e0'
-};
+// Frame buffers passed back and forth with the worker: one on screen, one waiting
+// to be drawn and one being filled
+const FRAME_BUFFERS = 3;
 
-// Particle densities (higher = heavier)
-const PARTICLE_DENSITY = {
-    [PARTICLE_TYPES.EMPTY]: 0,
-    [PARTICLE_TYPES.WATER]: 1000,
-    [PARTICLE_TYPES.SAND_HEAVY]: 2500,
-    [PARTICLE_TYPES.SAND_MEDIUM]: 2200,
-    [PARTICLE_TYPES.SAND_LIGHT]: 1900,
-    [PARTICLE_TYPES.AIR]: 1
-};
-
-// Particle properties storage
-class ParticleProperties {
-    constructor() {
-        this.friction = {};  // For sand particles
-        this.mass = {};      // For sand particles
+// Runs the engine for the page. Stepping happens in a Web Worker (sand-worker.js)
+// so big grids don't stall drawing and input; where workers aren't available the
+// engine runs on the main thread instead, stepping once per animation frame. The
+// page reads the grid, bubble labels (see Simulation.writeBubbleLabels) and the
+// mirrored engine state (seed, gravityAngle, rotation, frameCount, gates, params, settled) from
+// here either way, and engine commands return promises. Engine events (SIMULATION_EVENTS)
+// are re-emitted here once the state they describe has been mirrored.
+class SimulationHost extends EventEmitter {
+    constructor(options = {}, useWorker = true) {
+        super();
+        // Seed here so the page knows it before the first frame arrives
+        this.options = { ...options, seed: options.seed !== undefined ? options.seed : SeededRandom.randomSeed() };
+        this.width = options.width || GRID_WIDTH;
+        this.height = options.height || GRID_HEIGHT;
+        this.running = false;
+        this.local = null;
+        this.worker = null;
+        
+        if (useWorker && this.canUseWorker()) {
+            this.startWorker();
+        } else {
+            this.startLocal();
+        }
     }
     
-    setProperties(x, y, friction, mass) {
-        const key = `${x},${y}`;
-        this.friction[key] = friction;
-        this.mass[key] = mass;
+    // Workers need an http(s) page, and only know the built-in behaviors: materials
+    // with custom ones, and containers or layouts given as functions, have to run here
+    canUseWorker() {
+        return typeof Worker !== 'undefined' &&
+            window.location.protocol !== 'file:' &&
+            typeof this.options.container !== 'function' &&
+            typeof this.options.layout !== 'function' &&
+            MATERIALS.all().every(material => Object.values(PHASES).includes(material.behavior));
     }
     
-    getProperties(x, y) {
-        const key = `${x},${y}`;
-        return {
-            friction: this.friction[key] || 0.4,
-            mass: this.mass[key] || 1.2
-        };
+    startLocal() {
+        this.worker = null;
+        this.local = new Simulation(this.options);
+        this.localEvents = [];
+        for (const type of SIMULATION_EVENTS) {
+            this.local.on(type, (detail) => this.localEvents.push({ type, detail }));
+        }
+        this.bubbles = new Int32Array(this.width * this.height);
+        this.syncLocal();
     }
     
-    moveProperties(fromX, fromY, toX, toY) {
-        const fromKey = `${fromX},${fromY}`;
-        const toKey = `${toX},${toY}`;
-        this.friction[toKey] = this.friction[fromKey];
-        this.mass[toKey] = this.mass[fromKey];
-        delete this.friction[fromKey];
-        delete this.mass[fromKey];
+    startWorker() {
+        this.grid = new Uint8Array(this.width * this.height);
+        this.bubbles = new Int32Array(this.width * this.height);
+        this.adoptState({
+            seed: this.options.seed >>> 0,
+            frameCount: 0,
+            gravityAngle: 0,
+            rotation: null,
+            params: { ...DEFAULT_PHYSICS_PARAMS },
+            gates: [],
+            settled: false,
+            settleTime: null
+        });
+        this.pending = new Map(); // Command ID -> { type, args, resolve, reject }
+        this.sent = 0;            // ID of the last command sent
+        this.stateAck = 0;        // Last command reflected in the mirrored state
+        this.nextFrame = null;    // Newest frame from the worker, not yet on screen
+        this.shownBuffer = null;  // Buffer behind the grid on screen
+        this.started = false;     // Whether the worker has answered at all
+        
+        this.worker = new Worker('sand-worker.js');
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            if (this.started) return;
+            event.preventDefault();
+            this.fallBack();
+        };
+        this.worker.postMessage({ type: 'init', options: this.options, materials: MATERIALS.all() });
+        for (let i = 0; i < FRAME_BUFFERS; i++) {
+            this.returnBuffer(new ArrayBuffer(this.width * this.height * FRAME_BYTES_PER_CELL));
+        }
     }
     
-    deleteProperties(x, y) {
-        const key = `${x},${y}`;
-        delete this.friction[key];
-        delete this.mass[key];
+    // The worker failed to load: carry on in this thread, replaying any
+    // commands it never answered
+    fallBack() {
+        const pending = [...this.pending.values()];
+        this.worker.terminate();
+        this.startLocal();
+        if (this.running) this.start();
+        for (const command of pending) {
+            this.call(command.type, command.args).then(command.resolve, command.reject);
+        }
     }
-}
-
-// Bubble Cluster Class
-class BubbleCluster {
-    constructor(id) {
-        this.id = id;
-        this.cells = new Set(); // Set of "x,y" strings
-        this.minX = Infinity;
-        this.maxX = -Infinity;
-        this.minY = Infinity;
-        this.maxY = -Infinity;
+    
+    handleMessage(message) {
+        this.started = true;
+        
+        if (message.type === 'frame') {
+            // A frame superseded before it was drawn goes straight back to be refilled,
+            // handing its events on to the newer one
+            if (this.nextFrame) {
+                this.returnBuffer(this.nextFrame.buffer);
+                message.events = [...this.nextFrame.events, ...message.events];
+            }
+            this.nextFrame = message;
+            return;
+        }
+        
+        const command = this.pending.get(message.id);
+        this.pending.delete(message.id);
+        this.adoptWorkerState(message);
+        // Events still waiting in an undrawn frame happened first
+        if (this.nextFrame) {
+            this.emitEvents(this.nextFrame.events);
+            this.nextFrame.events = [];
+        }
+        this.emitEvents(message.events);
+        if (message.error) {
+            command.reject(this.toError(message.error));
+        } else {
+            command.resolve(message.result);
+        }
     }
     
-    addCell(x, y) {
-        this.cells.add(`${x},${y}`);
-        this.minX = Math.min(this.minX, x);
-        this.maxX = Math.max(this.maxX, x);
-        this.minY = Math.min(this.minY, y);
-        this.maxY = Math.max(this.maxY, y);
+    // Errors cross from the worker as plain objects; rebuild the ones the page handles
+    toError({ name, message }) {
+        if (name === 'SceneFormatError') return new SceneFormatError(message);
+        if (name === 'RangeError') return new RangeError(message);
+        if (name === 'TypeError') return new TypeError(message);
+        return new Error(message);
     }
     
-    getWidth() {
-        return this.maxX - this.minX + 1;
+    returnBuffer(buffer) {
+        this.worker.postMessage({ type: 'buffer', buffer }, [buffer]);
     }
     
-    getHeight() {
-        return this.maxY - this.minY + 1;
+    adoptState(state) {
+        this.seed = state.seed;
+        this.frameCount = state.frameCount;
+        this.gravityAngle = state.gravityAngle;
+        this.rotation = state.rotation;
+        this.gates = state.gates;
+        this.settled = state.settled;
+        this.settleTime = state.settleTime;
+        this.params = state.params;
     }
     
-    getHeightWidthRatio() {
-        const width = this.getWidth();
-        return width > 0 ? this.getHeight() / width : 0;
+    emitEvents(events) {
+        for (const { type, detail } of events) this.emit(type, detail);
     }
     
-    getCenterX() {
-        return (this.minX + this.maxX) / 2;
+    // Frames wait for the next animation frame, so one may be older than a reply
+    // already taken; its state is skipped rather than rolled back to
+    adoptWorkerState(message) {
+        if (message.ack < this.stateAck) return;
+        this.stateAck = message.ack;
+        this.adoptState(message.state);
     }
     
-    getCenterY() {
-        return (this.minY + this.maxY) / 2;
+    syncLocal() {
+        this.grid = this.local.grid;
+        this.local.writeBubbleLabels(this.bubbles);
+        this.adoptState(this.local.getState());
+        const events = this.localEvents;
+        this.localEvents = [];
+        this.emitEvents(events);
     }
     
-    size() {
-        return this.cells.size;
+    start() {
+        this.running = true;
+        if (this.worker) this.worker.postMessage({ type: 'start' });
     }
     
-    hasCell(x, y) {
-        return this.cells.has(`${x},${y}`);
+    stop() {
+        this.running = false;
+        if (this.worker) this.worker.postMessage({ type: 'stop' });
     }
-}
-
-// Bubble Manager Class
-class BubbleManager {
-    constructor(gridWidth, gridHeight) {
-        this.gridWidth = gridWidth;
-        this.gridHeight = gridHeight;
-        this.clusters = [];
-        this.nextClusterId = 0;
-    }
-    
-    findClusters(grid) {
-        this.clusters = [];
-        const visited = new Set();
-        
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (grid[y][x] === PARTICLE_TYPES.AIR && !visited.has(`${x},${y}`)) {
-                    const cluster = this.floodFill(grid, x, y, visited);
-                    if (cluster.size() > 0) {
-                        this.clusters.push(cluster);
-                    }
-                }
+    
+    // Called once per animation frame: step the local engine, or put the newest
+    // worker frame on screen and hand the previous buffer back for refilling
+    tick() {
+        if (this.local) {
+            if (this.running) {
+                this.local.update();
+                this.syncLocal();
             }
+            return;
         }
         
-        return this.clusters;
+        const frame = this.nextFrame;
+        if (!frame) return;
+        this.nextFrame = null;
+        if (this.shownBuffer) this.returnBuffer(this.shownBuffer);
+        this.shownBuffer = frame.buffer;
+        ({ grid: this.grid, bubbles: this.bubbles } = frameViews(frame.buffer, this.width, this.height));
+        this.adoptWorkerState(frame);
+        this.emitEvents(frame.events);
     }
     
-    floodFill(grid, startX, startY, visited) {
-        const cluster = new BubbleCluster(this.nextClusterId++);
-        const stack = [[startX, startY]];
-        
-        while (stack.length > 0) {
-            const [x, y] = stack.pop();
-            const key = `${x},${y}`;
-            
-            if (visited.has(key)) continue;
-            if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) continue;
-            if (grid[y][x] !== PARTICLE_TYPES.AIR) continue;
-            
-            visited.add(key);
-            cluster.addCell(x, y);
-            
-            // Check 4-connected neighbors
-            stack.push([x + 1, y]);
-            stack.push([x - 1, y]);
-            stack.push([x, y + 1]);
-            stack.push([x, y - 1]);
+    // Run an engine method here or in the worker; resolves with its result
+    call(type, args) {
+        if (this.local) {
+            try {
+                const result = this.local[type](...args);
+                this.syncLocal();
+                return Promise.resolve(result);
+            } catch (error) {
+                return Promise.reject(error);
+            }
         }
         
-        return cluster;
+        const id = ++this.sent;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { type, args, resolve, reject });
+            this.worker.postMessage({ type, id, args });
+        });
     }
     
-    shouldSplitCluster(cluster) {
-        return cluster.getHeightWidthRatio() > PHYSICS_PARAMS.SURFACE_TENSION_FACTOR;
+    flip() {
+        return this.call('flip', []);
     }
     
-    shouldMergeClusters(cluster1, cluster2) {
-        const dx = cluster1.getCenterX() - cluster2.getCenterX();
-        const dy = cluster1.getCenterY() - cluster2.getCenterY();
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        return distance <= PHYSICS_PARAMS.MERGE_DISTANCE;
+    setGravityAngle(degrees) {
+        return this.call('setGravityAngle', [degrees]);
+    }
+    
+    rotate(degrees, frames) {
+        return this.call('rotate', [degrees, frames]);
+    }
+    
+    paint(x, y, type, radius, shape) {
+        return this.call('paint', [x, y, type, radius, shape]);
+    }
+    
+    setParams(params) {
+        return this.call('setParams', [params]);
+    }
+    
+    resetParams() {
+        return this.call('resetParams', []);
+    }
+    
+    reset(seed) {
+        return this.call('reset', [seed]);
+    }
+    
+    setLayout(layout, mix) {
+        return this.call('setLayout', [layout, mix]);
+    }
+    
+    setContainer(shape) {
+        return this.call('setContainer', [shape]);
+    }
+    
+    addGate(name, region, open) {
+        return this.call('addGate', [name, region, open]);
+    }
+    
+    removeGate(name) {
+        return this.call('removeGate', [name]);
+    }
+    
+    setGate(name, open) {
+        return this.call('setGate', [name, open]);
+    }
+    
+    toggleGate(name) {
+        return this.call('toggleGate', [name]);
+    }
+    
+    scheduleGate(name, open, frame) {
+        return this.call('scheduleGate', [name, open, frame]);
+    }
+    
+    loadScene(scene) {
+        return this.call('loadScene', [scene]);
+    }
+    
+    toScene() {
+        return this.call('toScene', []);
+    }
+    
+    step(count) {
+        return this.call('step', [count]);
+    }
+    
+    snapshot() {
+        return this.call('snapshot', []);
     }
 }
 
-// Sand Physics Class
-class SandPhysics {
-    constructor(gridWidth, gridHeight) {
-        this.gridWidth = gridWidth;
-        this.gridHeight = gridHeight;
+// Draws the engine's grid onto a canvas. Cells go into an ImageData at one pixel per
+// cell, which is scaled up onto the canvas in a single drawImage; bubbles are then
+// traced and smoothed (see contours.js) and drawn as one path.
+class SimulationRenderer {
+    constructor(canvas, simulation) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.simulation = simulation;
+        this.canvas.width = simulation.width * PARTICLE_SIZE;
+        this.canvas.height = simulation.height * PARTICLE_SIZE;
+        this.smoothing = BUBBLE_SMOOTHING;
+        
+        this.cellCanvas = document.createElement('canvas');
+        this.cellCanvas.width = simulation.width;
+        this.cellCanvas.height = simulation.height;
+        this.cellCtx = this.cellCanvas.getContext('2d');
+        this.image = this.cellCtx.createImageData(simulation.width, simulation.height);
+        this.pixels = new Uint32Array(this.image.data.buffer);
+        this.buildPalette();
     }
     
-    // Find best path for sand particle considering obstacles
-    findBestPath(grid, x, y, gravity, particleProps) {
-        const nextY = y + gravity;
-        
-        if (nextY < 0 || nextY >= this.gridHeight) return null;
-        
-        // Try straight down first
-        if (this.canMoveTo(grid, x, nextY)) {
-            return { x, y: nextY, type: 'fall' };
-        }
-        
-        // Multi-directional pathfinding - check both diagonals
-        const directions = [
-            { dx: -1, priority: Math.random() },
-            { dx: 1, priority: Math.random() }
-        ];
-        
-        // Sort by priority for randomness
-        directions.sort((a, b) => a.priority - b.priority);
-        
-        for (const dir of directions) {
-            const newX = x + dir.dx;
-            if (newX >= 0 && newX < this.gridWidth) {
-                if (this.canMoveTo(grid, newX, nextY)) {
-                    return { x: newX, y: nextY, type: 'diagonal' };
-                }
+    // Packed pixel per material ID. Translucency is baked in against the background:
+    // liquids at 85%, bubbles at 75% of their gas's color; stray gas cells outside
+    // bubbles don't show. Each gas also gets a fill and a whitened outline color.
+    buildPalette() {
+        const background = this.toRGB(PARTICLE_COLORS[PARTICLE_TYPES.EMPTY]);
+        const white = [255, 255, 255];
+        this.palette = new Uint32Array(256);
+        this.isGas = new Uint8Array(256);
+        this.bubblePalette = new Uint32Array(256);
+        this.bubbleStyles = new Map();
+        for (const material of MATERIALS.all()) {
+            let rgb = this.toRGB(material.color);
+            if (material.phase === PHASES.GAS) {
+                const bubbleRGB = blendRGB(rgb, background, 0.75);
+                const outlineRGB = blendRGB(rgb, white, 0.2);
+                this.isGas[material.id] = 1;
+                this.bubblePalette[material.id] = packRGB(bubbleRGB);
+                this.bubbleStyles.set(material.id, {
+                    fill: `rgb(${bubbleRGB.join(', ')})`,
+                    stroke: `rgb(${outlineRGB.join(', ')})`
+                });
+                rgb = background;
             }
+            if (material.phase === PHASES.LIQUID) rgb = blendRGB(rgb, background, 0.85);
+            this.palette[material.id] = packRGB(rgb);
         }
-        
-        // Search for gaps in bubble barriers
-        const gap = this.findGapInBarrier(grid, x, y, nextY);
-        if (gap) return gap;
-        
-        // Check if can slide laterally based on slope
-        const lateralMove = this.tryLateralSlide(grid, x, y, particleProps.friction);
-        if (lateralMove) return lateralMove;
-        
-        return null;
     }
     
-    canMoveTo(grid, x, y) {
-        if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return false;
-        return grid[y][x] === PARTICLE_TYPES.EMPTY;
+    // [r, g, b] of any CSS color, as parsed by the canvas itself
+    toRGB(color) {
+        this.cellCtx.fillStyle = color;
+        const parsed = this.cellCtx.fillStyle; // '#rrggbb', or 'rgba(r, g, b, a)' if translucent
+        if (parsed[0] === '#') {
+            return [1, 3, 5].map(i => parseInt(parsed.slice(i, i + 2), 16));
+        }
+        return parsed.match(/[\d.]+/g).slice(0, 3).map(Number);
     }
     
-    findGapInBarrier(grid, x, y, targetY) {
-        const searchRadius = PHYSICS_PARAMS.BUBBLE_SEARCH_RADIUS;
-        const gaps = [];
+    render() {
+        const { grid, bubbles } = this.simulation;
+        const pixels = this.pixels;
+        const palette = this.palette;
+        const isGas = this.isGas;
         
-        // Look for gaps in both directions
-        for (let dx = -searchRadius; dx <= searchRadius; dx++) {
-            if (dx === 0) continue;
-            const searchX = x + dx;
-            
-            if (searchX >= 0 && searchX < this.gridWidth) {
-                let gapQuality = 0;
-                let hasPath = true;
-                
-                // Check if there's a clear vertical path and count empty cells
-                for (let checkY = y + 1; checkY <= Math.min(y + 3, this.gridHeight - 1); checkY++) {
-                    const cell = grid[checkY][searchX];
-                    if (cell === PARTICLE_TYPES.EMPTY) {
-                        gapQuality++;
-                    } else if (cell === PARTICLE_TYPES.AIR) {
-                        hasPath = false;
-                        break;
-                    } else if (this.isSand(cell)) {
-                        hasPath = false;
-                        break;
-                    }
-                }
-                
-                if (hasPath && gapQuality > 0) {
-                    gaps.push({ x: searchX, quality: gapQuality, distance: Math.abs(dx) });
-                }
+        // Bubbles with a smooth outline are drawn over water; the cells their rounded
+        // edge cuts off read as the water around them rather than a staircase.
+        // Bubbles too small to outline stay as square cells.
+        const outlines = this.traceBubbles();
+        const waterColor = palette[PARTICLE_TYPES.WATER];
+        
+        for (let i = 0; i < grid.length; i++) {
+            const particle = grid[i];
+            if (isGas[particle] && bubbles[i] !== 0) {
+                pixels[i] = outlines.has(bubbles[i]) ? waterColor : this.bubblePalette[particle];
+            } else {
+                pixels[i] = palette[particle];
             }
         }
         
-        if (gaps.length > 0) {
-            // Sort by quality (more empty cells = better gap) then by distance
-            gaps.sort((a, b) => b.quality - a.quality || a.distance - b.distance);
-            const bestGap = gaps[0];
-            return { x: bestGap.x, y: targetY, type: 'gap' };
-        }
+        this.cellCtx.putImageData(this.image, 0, 0);
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(this.cellCanvas, 0, 0, this.canvas.width, this.canvas.height);
         
-        return null;
+        this.renderBubbleOutlines(outlines);
     }
     
-    tryLateralSlide(grid, x, y, friction) {
-        // Check slope on both sides - prefer downslope direction
-        const leftHeight = this.getHeightBelow(grid, x - 1, y);
-        const rightHeight = this.getHeightBelow(grid, x + 1, y);
-        
-        const directions = [];
+    // Smoothed outline of every bubble from the engine's last step, by bubble label,
+    // with the gas it holds. Scanning row by row meets each bubble first at its
+    // topmost, leftmost cell, which is where tracing has to start.
+    traceBubbles() {
+        const { grid, bubbles, width, height } = this.simulation;
+        const isGas = this.isGas;
+        const outlines = new Map();
+        const seen = new Set();
         
-        // Prefer the side with less sand (lower height)
-        if (leftHeight < rightHeight) {
-            directions.push({ dx: -1, priority: 1 });
-            directions.push({ dx: 1, priority: 2 });
-        } else {
-            directions.push({ dx: 1, priority: 1 });
-            directions.push({ dx: -1, priority: 2 });
-        }
-        
-        for (const dir of directions) {
-            const newX = x + dir.dx;
+        for (let i = 0; i < grid.length; i++) {
+            const label = bubbles[i];
+            if (label === 0 || !isGas[grid[i]] || seen.has(label)) continue;
+            seen.add(label);
             
-            if (newX >= 0 && newX < this.gridWidth) {
-                if (this.canMoveTo(grid, newX, y)) {
-                    // Check if slope allows sliding (friction based)
-                    const slope = this.calculateLocalSlope(grid, newX, y);
-                    
-                    if (slope < PHYSICS_PARAMS.MAX_SLOPE_RATIO && Math.random() > friction) {
-                        return { x: newX, y, type: 'slide' };
-                    }
-                }
+            const gas = grid[i];
+            const contains = (x, y) => {
+                if (x < 0 || x >= width || y < 0 || y >= height) return false;
+                const j = y * width + x;
+                return bubbles[j] === label && grid[j] === gas;
+            };
+            const x = i % width;
+            const contour = traceContour({ x, y: (i - x) / width }, contains, grid.length);
+            if (contour.length >= 3) {
+                outlines.set(label, { gas, path: smoothPath(contour, this.smoothing) });
             }
         }
         
-        return null;
+        return outlines;
     }
     
-    getHeightBelow(grid, x, y) {
-        if (x < 0 || x >= this.gridWidth) return 1000;  // Treat boundaries as very tall
+    // Fill and stroke the outlines as one path per gas. Outlines run through the
+    // centers of the bubbles' edge cells.
+    renderBubbleOutlines(outlines) {
+        const byGas = new Map();
+        for (const { gas, path } of outlines.values()) {
+            if (!byGas.has(gas)) byGas.set(gas, []);
+            byGas.get(gas).push(path);
+        }
         
-        let height = 0;
-        for (let dy = 1; dy < 10 && y + dy < this.gridHeight; dy++) {
-            if (this.isSand(grid[y + dy][x])) {
-                height++;
-            } else if (grid[y + dy][x] === PARTICLE_TYPES.AIR) {
-                // Air blocks count as barriers
-                height += 5;
-            } else {
-                break;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.lineJoin = 'round';
+        for (const [gas, paths] of byGas) {
+            this.ctx.beginPath();
+            for (const outline of paths) {
+                this.ctx.moveTo((outline[0].x + 0.5) * PARTICLE_SIZE, (outline[0].y + 0.5) * PARTICLE_SIZE);
+                for (let i = 1; i < outline.length; i++) {
+                    this.ctx.lineTo((outline[i].x + 0.5) * PARTICLE_SIZE, (outline[i].y + 0.5) * PARTICLE_SIZE);
+                }
+                this.ctx.closePath();
             }
+            
+            const style = this.bubbleStyles.get(gas);
+            this.ctx.fillStyle = style.fill;
+            this.ctx.fill();
+            this.ctx.strokeStyle = style.stroke;
+            this.ctx.stroke();
         }
-        return height;
     }
-    
-    calculateLocalSlope(grid, x, y) {
-        // Check height difference in local area
-        let leftHeight = 0;
-        let rightHeight = 0;
+}
+
+function blendRGB(rgb, background, alpha) {
+    return rgb.map((channel, i) => Math.round(channel * alpha + background[i] * (1 - alpha)));
+}
+
+// Opaque RGB as one ImageData pixel in the platform's byte order
+function packRGB([r, g, b]) {
+    return new Uint32Array(new Uint8ClampedArray([r, g, b, 255]).buffer)[0];
+}
+
+// Fill a select with named options, labelled with the name capitalized
+function fillOptions(select, names, selected) {
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        select.appendChild(option);
+    }
+    select.value = selected;
+}
+
+// Every registered material, grouped by phase for the brush palette
+// Gates are placed with Simulation.addGate rather than painted
+function getBrushMaterials() {
+    return MATERIALS.all()
+        .filter(material => material.id !== PARTICLE_TYPES.GATE)
+        .sort((a, b) => PHASE_ORDER.indexOf(a.phase) - PHASE_ORDER.indexOf(b.phase));
+}
+
+// Pointer-driven painting on the canvas with the brush settings from the page
+class PaintBrush {
+    constructor(canvas, simulation) {
+        this.canvas = canvas;
+        this.simulation = simulation;
+        this.materialSelect = document.getElementById('materialSelect');
+        this.sizeInput = document.getElementById('brushSize');
+        this.shapeSelect = document.getElementById('brushShape');
+        this.eraserButton = document.getElementById('eraserButton');
+        this.erasing = false;
+        this.lastCell = null;
+        this.tilt = 0; // Degrees the frame is visually rotated (set by the controller)
         
-        // Count sand particles below on left side
-        for (let dy = 1; dy < 5 && y + dy < this.gridHeight; dy++) {
-            if (x - 1 >= 0 && this.isSand(grid[y + dy][x - 1])) {
-                leftHeight++;
-            } else break;
+        for (const material of getBrushMaterials()) {
+            const option = document.createElement('option');
+            option.value = material.id;
+            option.textContent = material.label;
+            this.materialSelect.appendChild(option);
         }
         
-        // Count sand particles below on right side
-        for (let dy = 1; dy < 5 && y + dy < this.gridHeight; dy++) {
-            if (x + 1 < this.gridWidth && this.isSand(grid[y + dy][x + 1])) {
-                rightHeight++;
-            } else break;
-        }
+        this.eraserButton.addEventListener('click', () => this.setErasing(!this.erasing));
+        this.materialSelect.addEventListener('change', () => this.setErasing(false));
         
-        const heightDiff = Math.abs(leftHeight - rightHeight);
-        return heightDiff / 3.0; // Normalize
+        canvas.addEventListener('pointerdown', (e) => {
+            canvas.setPointerCapture(e.pointerId);
+            this.lastCell = null;
+            this.strokeTo(this.toCell(e));
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (this.lastCell) this.strokeTo(this.toCell(e));
+        });
+        canvas.addEventListener('pointerup', () => { this.lastCell = null; });
+        canvas.addEventListener('pointercancel', () => { this.lastCell = null; });
     }
     
-    isSand(particleType) {
-        return particleType === PARTICLE_TYPES.SAND_HEAVY ||
-               particleType === PARTICLE_TYPES.SAND_MEDIUM ||
-               particleType === PARTICLE_TYPES.SAND_LIGHT;
+    // The eraser paints water, the frame's background material
+    setErasing(erasing) {
+        this.erasing = erasing;
+        this.eraserButton.classList.toggle('active', erasing);
     }
     
-    applyWaterDrag(velocity) {
-        return velocity * PHYSICS_PARAMS.WATER_DRAG;
+    getMaterial() {
+        return this.erasing ? PARTICLE_TYPES.WATER : Number(this.materialSelect.value);
     }
-}
-
-// Bubble Physics Class
-class BubblePhysics {
-    constructor(gridWidth, gridHeight) {
-        this.gridWidth = gridWidth;
-        this.gridHeight = gridHeight;
-    }
-    
-    applyBuoyancy(grid, x, y, gravity) {
-        // Bubbles rise with buoyancy force
-        const riseY = y - gravity;
-        
-        if (riseY >= 0 && riseY < this.gridHeight) {
-            const above = grid[riseY][x];
-            if (above !== PARTICLE_TYPES.EMPTY && PARTICLE_DENSITY[above] > PARTICLE_DENSITY[PARTICLE_TYPES.AIR]) {
-                if (Math.random() < PHYSICS_PARAMS.BUOYANCY) {
-                    return { x, y: riseY };
-                }
-            }
-        }
-        
-        return null;
+    
+    // Map a pointer position to a grid cell, undoing the frame's tilt and any CSS
+    // scaling of the canvas. Rotation is about the canvas center.
+    toCell(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const dx = e.clientX - (rect.left + rect.width / 2);
+        const dy = e.clientY - (rect.top + rect.height / 2);
+        const angle = this.tilt * Math.PI / 180;
+        const localX = dx * Math.cos(angle) + dy * Math.sin(angle) + this.canvas.offsetWidth / 2;
+        const localY = dy * Math.cos(angle) - dx * Math.sin(angle) + this.canvas.offsetHeight / 2;
+        const scaleX = this.canvas.width / this.canvas.offsetWidth;
+        const scaleY = this.canvas.height / this.canvas.offsetHeight;
+        return {
+            x: Math.floor(localX * scaleX / PARTICLE_SIZE),
+            y: Math.floor(localY * scaleY / PARTICLE_SIZE)
+        };
     }
     
-    applySpreadForce(grid, cluster, x, y) {
-        // If cluster is too tall, spread horizontally
-        if (!cluster || cluster.getHeightWidthRatio() <= PHYSICS_PARAMS.SURFACE_TENSION_FACTOR) {
-            return null;
+    // Paint from the previous cell to this one so fast strokes stay continuous
+    strokeTo(cell) {
+        const from = this.lastCell || cell;
+        const steps = Math.max(Math.abs(cell.x - from.x), Math.abs(cell.y - from.y), 1);
+        const radius = Number(this.sizeInput.value);
+        const shape = this.shapeSelect.value;
+        const material = this.getMaterial();
+        
+        for (let i = 1; i <= steps; i++) {
+            const x = Math.round(from.x + (cell.x - from.x) * i / steps);
+            const y = Math.round(from.y + (cell.y - from.y) * i / steps);
+            this.simulation.paint(x, y, material, radius, shape);
         }
         
-        // Spread outward from center
-        const centerX = cluster.getCenterX();
-        const direction = x < centerX ? -1 : 1;
-        const newX = x + direction;
+        this.lastCell = cell;
+    }
+}
+
+// Wires the engine, renderer and page controls together and runs the animation loop
+class SimulationController {
+    constructor() {
+        // A ?seed= in the URL replays that run; otherwise a fresh seed is picked.
+        // ?layout= and ?container= pick one of the LAYOUTS and CONTAINER_SHAPES, and
+        // ?worker=0 keeps the engine on the main thread.
+        const params = new URLSearchParams(window.location.search);
+        const urlSeed = SeededRandom.parseSeed(params.get('seed'));
+        const urlLayout = params.get('layout');
+        const layout = Object.prototype.hasOwnProperty.call(LAYOUTS, urlLayout) ? urlLayout : 'classic';
+        const urlContainer = params.get('container');
+        const container = Object.prototype.hasOwnProperty.call(CONTAINER_SHAPES, urlContainer) ? urlContainer : 'rectangle';
         
-        if (newX >= 0 && newX < this.gridWidth) {
-            const target = grid[y][newX];
-            if (target === PARTICLE_TYPES.EMPTY || PARTICLE_DENSITY[target] > PARTICLE_DENSITY[PARTICLE_TYPES.AIR]) {
-                if (Math.random() < PHYSICS_PARAMS.SPREAD_FORCE) {
-                    return { x: newX, y };
-                }
-            }
-        }
+        this.simulation = new SimulationHost({ seed: urlSeed !== null ? urlSeed : undefined, layout, container },
+                                             params.get('worker') !== '0');
+        this.renderer = new SimulationRenderer(document.getElementById('simulationCanvas'), this.simulation);
+        this.brush = new PaintBrush(this.renderer.canvas, this.simulation);
+        this.frame = document.querySelector('.picture-frame');
+        this.seedInput = document.getElementById('seedInput');
+        this.tiltInput = document.getElementById('tiltInput');
+        this.tiltValue = document.getElementById('tiltValue');
+        this.showSeed();
         
-        return null;
-    }
-    
-    maintainGap(grid, x, y) {
-        // Ensure minimum spacing between bubbles
-        let tooClose = false;
-        
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                if (dx === 0 && dy === 0) continue;
-                
-                const checkX = x + dx;
-                const checkY = y + dy;
-                
-                if (checkX >= 0 && checkX < this.gridWidth && 
-                    checkY >= 0 && checkY < this.gridHeight) {
-                    
-                    if (grid[checkY][checkX] === PARTICLE_TYPES.AIR) {
-                        const distance = Math.sqrt(dx * dx + dy * dy);
-                        if (distance < PHYSICS_PARAMS.GAP_SIZE) {
-                            tooClose = true;
-                            break;
-                        }
-                    }
-                }
-            }
-            if (tooClose) break;
-        }
+        // Tilt is the frame's rotation as seen on screen; flipped mirrors it top to bottom
+        this.tilt = 0;
+        this.flipped = false;
+        this.rotateDrag = null;
+        this.turn = null; // Animated rotation in progress (see rotate)
+        this.rotateButton = document.getElementById('rotateButton');
         
-        return tooClose;
-    }
-    
-    applyAttraction(grid, x, y) {
-        // Find nearby bubbles and move towards them for clustering
-        let nearestBubble = null;
-        let minDistance = Infinity;
-        
-        const searchRadius = 3;
-        for (let dy = -searchRadius; dy <= searchRadius; dy++) {
-            for (let dx = -searchRadius; dx <= searchRadius; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                
-                const checkX = x + dx;
-                const checkY = y + dy;
-                
-                if (checkX >= 0 && checkX < this.gridWidth && 
-                    checkY >= 0 && checkY < this.gridHeight) {
-                    
-                    if (grid[checkY][checkX] === PARTICLE_TYPES.AIR) {
-                        const distance = Math.sqrt(dx * dx + dy * dy);
-                        if (distance > 1.5 && distance < minDistance) {
-                            minDistance = distance;
-                            nearestBubble = { dx, dy };
-                        }
-                    }
-                }
-            }
-        }
+        // Setup flip button
+        document.getElementById('flipButton').addEventListener('click', () => this.flip());
         
-        if (nearestBubble && Math.random() < PHYSICS_PARAMS.COHESION) {
-            // Move one step towards the nearest bubble
-            const moveX = nearestBubble.dx > 0 ? 1 : (nearestBubble.dx < 0 ? -1 : 0);
-            const moveY = nearestBubble.dy > 0 ? 1 : (nearestBubble.dy < 0 ? -1 : 0);
-            
-            // Prefer horizontal movement for spreading
-            const newX = x + (Math.random() < 0.7 ? moveX : 0);
-            const newY = y + (Math.random() < 0.3 ? moveY : 0);
-            
-            if (newX >= 0 && newX < this.gridWidth && 
-                newY >= 0 && newY < this.gridHeight &&
-                (newX !== x || newY !== y)) {
-                return { x: newX, y: newY };
+        // Turn the frame through the entered angle over the entered duration
+        this.rotateButton.addEventListener('click', () => {
+            this.rotate(Number(document.getElementById('turnAngle').value),
+                        Number(document.getElementById('turnDuration').value));
+        });
+        
+        // Tilt with the slider, the arrow keys, or by dragging the frame around its center
+        this.tiltInput.addEventListener('input', () => this.setTilt(Number(this.tiltInput.value)));
+        window.addEventListener('keydown', (e) => {
+            if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.setTilt(this.tilt + (e.key === 'ArrowRight' ? TILT_STEP : -TILT_STEP));
             }
+        });
+        this.frame.addEventListener('pointerdown', (e) => {
+            // Pointers on the canvas paint; only the frame border rotates
+            if (e.target !== this.frame) return;
+            this.frame.setPointerCapture(e.pointerId);
+            this.frame.classList.add('rotating');
+            this.rotateDrag = { startAngle: this.pointerAngle(e), startTilt: this.tilt };
+        });
+        this.frame.addEventListener('pointermove', (e) => {
+            if (!this.rotateDrag) return;
+            const delta = this.pointerAngle(e) - this.rotateDrag.startAngle;
+            this.setTilt(this.rotateDrag.startTilt + delta);
+        });
+        const endRotate = () => {
+            this.rotateDrag = null;
+            this.frame.classList.remove('rotating');
+        };
+        this.frame.addEventListener('pointerup', endRotate);
+        this.frame.addEventListener('pointercancel', endRotate);
+        
+        // Restart replays the entered seed (a new one if the field is empty); New rolls a fresh seed
+        document.getElementById('restartButton').addEventListener('click', () => {
+            const seed = SeededRandom.parseSeed(this.seedInput.value);
+            this.restart(seed !== null ? seed : SeededRandom.randomSeed());
+        });
+        document.getElementById('newSeedButton').addEventListener('click', () => {
+            this.restart(SeededRandom.randomSeed());
+        });
+        
+        // Layouts and container shapes; picking one starts over with it
+        this.layoutSelect = document.getElementById('layoutSelect');
+        this.containerSelect = document.getElementById('containerSelect');
+        fillOptions(this.layoutSelect, Object.keys(LAYOUTS), layout);
+        fillOptions(this.containerSelect, Object.keys(CONTAINER_SHAPES), container);
+        this.layoutSelect.addEventListener('change', () => this.setLayout(this.layoutSelect.value));
+        this.containerSelect.addEventListener('change', () => this.setContainer(this.containerSelect.value));
+        
+        // Starting mix: a percentage per material, the rest of the frame staying water
+        this.mixInputs = {};
+        const mixFields = document.getElementById('mixFields');
+        for (const material of getBrushMaterials()) {
+            if (material.phase === PHASES.SOLID || material.phase === PHASES.NONE || material.id === PARTICLE_TYPES.WATER) continue;
+            const label = document.createElement('label');
+            label.textContent = material.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = '100';
+            input.step = '1';
+            input.value = DEFAULT_MIX[material.name] || 0;
+            label.appendChild(input);
+            mixFields.appendChild(label);
+            this.mixInputs[material.name] = input;
         }
+        document.getElementById('applyMixButton').addEventListener('click', () => this.setLayout(this.layoutSelect.value));
         
-        return null;
-    }
-}
-
-class Simulation {
-    constructor() {
-        this.canvas = document.getElementById('simulationCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.canvas.width = CANVAS_WIDTH;
-        this.canvas.height = CANVAS_HEIGHT;
+        // One button per gate, rebuilt as gates come and go (see showGates)
+        this.gateControls = document.getElementById('gateControls');
+        this.gateButtons = document.getElementById('gateButtons');
+        this.gateDelay = document.getElementById('gateDelay');
+        this.shownGates = null;
         
-        this.grid = [];
-        this.gravity = 1; // 1 for down, -1 for up
+        // Physics panel: a field per physics parameter, applied as it is edited
+        this.paramsPanel = document.getElementById('paramsPanel');
+        this.paramInputs = {};
+        const paramsFields = document.getElementById('paramsFields');
+        for (const [key, value] of Object.entries(DEFAULT_PHYSICS_PARAMS)) {
+            const label = document.createElement('label');
+            label.textContent = key.charAt(0) + key.slice(1).toLowerCase().replace(/_/g, ' ');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = Number.isInteger(value) ? '1' : '0.01';
+            [input.min, input.max] = PARAM_LIMITS[key];
+            input.addEventListener('input', () => this.applyParamInput(key, input));
+            label.appendChild(input);
+            paramsFields.appendChild(label);
+            this.paramInputs[key] = input;
+        }
+        this.showParams();
+        this.paramsPanel.addEventListener('toggle', () => this.showParams());
+        document.getElementById('resetParamsButton').addEventListener('click', () => this.resetParams());
         
-        // Initialize physics systems
-        this.particleProps = new ParticleProperties();
-        this.bubbleManager = new BubbleManager(GRID_WIDTH, GRID_HEIGHT);
-        this.sandPhysics = new SandPhysics(GRID_WIDTH, GRID_HEIGHT);
-        this.bubblePhysics = new BubblePhysics(GRID_WIDTH, GRID_HEIGHT);
-        this.clusters = [];
+        // Live material percentages, refreshed every SHARES_INTERVAL frames
+        this.materialShares = document.getElementById('materialShares');
+        this.framesShown = 0;
         
-        this.initGrid();
-        this.populateGrid();
+        // Screensaver: fullscreen with no cursor, flipping or tilting the frame each
+        // time the sand has stayed settled for the dwell time
+        this.settleInfo = document.getElementById('settleInfo');
+        this.screensaverToggle = document.getElementById('screensaverToggle');
+        this.screensaverAction = document.getElementById('screensaverAction');
+        this.screensaverDwell = document.getElementById('screensaverDwell');
+        this.screensaverDue = null; // performance.now() time of the next automatic move
+        this.simulation.on('settled', (detail) => this.onSettled(detail));
+        this.screensaverToggle.addEventListener('change', () => this.setScreensaver(this.screensaverToggle.checked));
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement) this.setScreensaver(false);
+        });
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.screensaverToggle.checked) this.setScreensaver(false);
+        });
         
-        // Setup flip button
-        document.getElementById('flipButton').addEventListener('click', () => this.flip());
+        // Scene files: save downloads the current frame, load reads a file picked by the user
+        const sceneFileInput = document.getElementById('sceneFileInput');
+        document.getElementById('saveSceneButton').addEventListener('click', () => this.saveScene());
+        document.getElementById('loadSceneButton').addEventListener('click', () => sceneFileInput.click());
+        sceneFileInput.addEventListener('change', () => {
+            if (sceneFileInput.files.length > 0) this.loadScene(sceneFileInput.files[0]);
+            sceneFileInput.value = '';
+        });
+        
+        // No point stepping a frame nobody can see; a paused one stays paused (see pause)
+        this.paused = false;
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.simulation.stop();
+            } else if (!this.paused) {
+                this.simulation.start();
+            }
+        });
         
         // Start animation
+        this.simulation.start();
         this.animate();
     }
     
-    initGrid() {
-        this.grid = [];
-        for (let y = 0; y < GRID_HEIGHT; y++) {
-            this.grid[y] = [];
-            for (let x = 0; x < GRID_WIDTH; x++) {
-                this.grid[y][x] = PARTICLE_TYPES.EMPTY;
-            }
+    // Public API for pages embedding the frame, which reach it as window.sandArt.
+    // Commands that go to the engine return promises; events are those in
+    // SIMULATION_EVENTS, e.g. sandArt.on('settled', ({ settleTime }) => ...).
+    on(type, listener) {
+        this.simulation.on(type, listener);
+        return this;
+    }
+    
+    off(type, listener) {
+        this.simulation.off(type, listener);
+        return this;
+    }
+    
+    start() {
+        this.paused = false;
+        this.simulation.start();
+    }
+    
+    pause() {
+        this.paused = true;
+        this.simulation.stop();
+    }
+    
+    // Advance the engine by `count` updates (handy while paused); resolves with the frame count
+    step(count = 1) {
+        return this.simulation.step(count);
+    }
+    
+    // Point gravity `degrees` from straight down the frame, as setGravityAngle does
+    // in the engine; the frame turns on screen to match
+    async setGravity(degrees) {
+        if (!Number.isFinite(degrees)) {
+            throw new TypeError('Gravity angle must be a number of degrees');
         }
+        if (this.isTurning()) return;
+        await this.simulation.setGravityAngle(degrees);
+        this.syncTilt();
+    }
+    
+    async setParam(name, value) {
+        await this.simulation.setParams({ [name]: value });
+        this.showParams();
     }
     
-    populateGrid() {
-        // Initialize entire grid with water
-        for (let y = 0; y < GRID_HEIGHT; y++) {
-            for (let x = 0; x < GRID_WIDTH; x++) {
-                this.grid[y][x] = PARTICLE_TYPES.WATER;
+    // Paint a material, by name or ID, in grid cells; resolves with the number of cells changed
+    async paint(x, y, material, radius = 0, shape = 'round') {
+        if (typeof material === 'string') {
+            if (!Object.prototype.hasOwnProperty.call(PARTICLE_TYPES, material)) {
+                throw new RangeError(`Unknown material: ${material}`);
             }
+            material = PARTICLE_TYPES[material];
         }
-        
-        // Create 20% sand layer at the top
-        const sandLayerHeight = Math.floor(GRID_HEIGHT * 0.20);
-        
-        // Distribute sand types (heavy, medium, light)
-        const sandTypes = [
-            PARTICLE_TYPES.SAND_HEAVY,
-            PARTICLE_TYPES.SAND_MEDIUM,
-            PARTICLE_TYPES.SAND_LIGHT
-        ];
-        
-        // Fill top 20% with sand of varied densities
-        for (let y = 0; y < sandLayerHeight; y++) {
-            for (let x = 0; x < GRID_WIDTH; x++) {
-                // Random sand type distribution
-                const rand = Math.random();
-                let sandType;
-                if (rand < 0.4) {
-                    sandType = PARTICLE_TYPES.SAND_HEAVY;
-                } else if (rand < 0.75) {
-                    sandType = PARTICLE_TYPES.SAND_MEDIUM;
-                } else {
-                    sandType = PARTICLE_TYPES.SAND_LIGHT;
-                }
-                
-                this.grid[y][x] = sandType;
-                
-                // Initialize sand particle properties with varied friction and mass
-                const friction = PHYSICS_PARAMS.SAND_FRICTION_MIN + 
-                               Math.random() * (PHYSICS_PARAMS.SAND_FRICTION_MAX - PHYSICS_PARAMS.SAND_FRICTION_MIN);
-                const mass = PHYSICS_PARAMS.SAND_MASS_MIN + 
-                           Math.random() * (PHYSICS_PARAMS.SAND_MASS_MAX - PHYSICS_PARAMS.SAND_MASS_MIN);
-                this.particleProps.setProperties(x, y, friction, mass);
-            }
+        return this.simulation.paint(x, y, material, radius, shape);
+    }
+    
+    // Resolves with a copy of the grid and the engine's state (see Simulation.snapshot)
+    snapshot() {
+        return this.simulation.snapshot();
+    }
+    
+    async restart(seed) {
+        await this.simulation.reset(seed);
+        this.endTurn();
+        this.showSeed();
+        this.syncTilt();
+    }
+    
+    // Start over with a layout and the mix entered in the mix panel
+    async setLayout(layout) {
+        const mix = {};
+        for (const [name, input] of Object.entries(this.mixInputs)) {
+            mix[name] = Number(input.value);
         }
-        
-        // Create bubble layer just below sand (at least 3 voxels high)
-        const bubbleLayerStart = sandLayerHeight;
-        const bubbleLayerHeight = Math.max(5, Math.floor(GRID_HEIGHT * 0.05)); // At least 5 voxels
-        
-        // Create multiple bubbles with tapered ends
-        const numBubbles = Math.floor(GRID_WIDTH / 15); // Create several bubbles across the width
-        const bubbleSpacing = Math.floor(GRID_WIDTH / (numBubbles + 1));
-        
-        for (let i = 0; i < numBubbles; i++) {
-            const bubbleCenterX = bubbleSpacing * (i + 1);
-            const bubbleCenterY = bubbleLayerStart + Math.floor(bubbleLayerHeight / 2);
-            const bubbleWidth = 8 + Math.floor(Math.random() * 5); // 8-12 voxels wide
-            const bubbleHeight = Math.max(3, bubbleLayerHeight - 2); // At least 3 voxels
-            
-            // Create bubble with tapered ends (elliptical shape)
-            for (let dy = 0; dy < bubbleHeight; dy++) {
-                const y = bubbleCenterY - Math.floor(bubbleHeight / 2) + dy;
-                if (y < 0 || y >= GRID_HEIGHT) continue;
-                
-                // Calculate width at this height (tapered at top and bottom)
-                const heightRatio = Math.abs(dy - bubbleHeight / 2) / (bubbleHeight / 2);
-                const widthAtHeight = bubbleWidth * (1 - heightRatio * 0.3); // 30% taper
-                
-                for (let dx = -Math.floor(widthAtHeight / 2); dx <= Math.floor(widthAtHeight / 2); dx++) {
-                    const x = bubbleCenterX + dx;
-                    if (x >= 0 && x < GRID_WIDTH) {
-                        this.grid[y][x] = PARTICLE_TYPES.AIR;
-                    }
-                }
-            }
+        try {
+            await this.simulation.setLayout(layout, mix);
+        } catch (error) {
+            if (!(error instanceof RangeError || error instanceof TypeError)) throw error;
+            alert(`Could not use that mix: ${error.message}`);
+            return;
         }
+        this.endTurn();
+        this.showSeed();
+        this.syncTilt();
+        this.showSetting('layout', layout);
+    }
+    
+    async setContainer(shape) {
+        await this.simulation.setContainer(shape);
+        this.endTurn();
+        this.showSeed();
+        this.syncTilt();
+        this.showSetting('container', shape);
+    }
+    
+    // Keep a setting in the URL alongside the seed, so a shared link starts the same way
+    showSetting(key, value) {
+        const url = new URL(window.location.href);
+        url.searchParams.set(key, value);
+        window.history.replaceState(null, '', url);
+    }
+    
+    // Apply a physics panel field; an empty, unreadable or out-of-range one is flagged and left out
+    applyParamInput(key, input) {
+        const valid = input.value !== '' && checkParam(key, Number(input.value)) === null;
+        input.classList.toggle('invalid', !valid);
+        if (valid) this.simulation.setParams({ [key]: Number(input.value) });
+    }
+    
+    async resetParams() {
+        await this.simulation.resetParams();
+        this.showParams();
     }
     
-    shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    // Fill the physics panel from the engine's parameters, except a field being edited
+    showParams() {
+        for (const [key, input] of Object.entries(this.paramInputs)) {
+            if (input === document.activeElement) continue;
+            input.value = this.simulation.params[key];
+            input.classList.remove('invalid');
         }
     }
     
-    flip() {
-        this.gravity *= -1;
-        
-        // Create flip animation effect
-        const frame = document.querySelector('.picture-frame');
-        frame.style.transform = 'rotateX(180deg)';
-        setTimeout(() => {
-            frame.style.transform = 'rotateX(0deg)';
-        }, 600);
-        
-        frame.style.transition = 'transform 0.6s ease-in-out';
+    // Share of the container (everything but walls and gates) each material fills
+    showMaterialShares() {
+        const counts = new Uint32Array(256);
+        for (const type of this.simulation.grid) counts[type]++;
+        const materials = getBrushMaterials().filter(material => material.phase !== PHASES.SOLID && counts[material.id] > 0);
+        const total = materials.reduce((sum, material) => sum + counts[material.id], 0);
+        this.materialShares.textContent = materials
+            .map(material => `${material.label}: ${Math.round(100 * counts[material.id] / total)}%`)
+            .join(' | ');
     }
     
-    update() {
-        // Find bubble clusters
-        this.clusters = this.bubbleManager.findClusters(this.grid);
-        
-        const newGrid = [];
-        for (let y = 0; y < GRID_HEIGHT; y++) {
-            newGrid[y] = [...this.grid[y]];
+    onSettled({ settleTime }) {
+        this.settleInfo.textContent = `Settled in ${(settleTime / FRAMES_PER_SECOND).toFixed(1)} s`;
+        if (this.screensaverToggle.checked) this.scheduleScreensaver();
+    }
+    
+    scheduleScreensaver() {
+        const dwell = Math.max(0, Number(this.screensaverDwell.value) || 0);
+        this.screensaverDue = performance.now() + dwell * 1000;
+    }
+    
+    setScreensaver(on) {
+        this.screensaverToggle.checked = on;
+        document.body.classList.toggle('screensaver', on);
+        this.screensaverDue = null;
+        if (!on) {
+            if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+            return;
         }
         
-        // Create cluster map for quick lookup
-        const clusterMap = {};
-        for (const cluster of this.clusters) {
-            for (const cellKey of cluster.cells) {
-                clusterMap[cellKey] = cluster;
-            }
+        // Without fullscreen (not allowed, or not supported) the mode still runs in the window
+        if (document.documentElement.requestFullscreen) {
+            document.documentElement.requestFullscreen().catch(() => {});
         }
+        if (this.simulation.settled) this.scheduleScreensaver();
+    }
+    
+    // Move the frame once its dwell is up; sand set going again in the meantime
+    // (painting, a gate) calls it off until the next settle. The next move is lined
+    // up straight away in case this one leaves the sand where it is.
+    runScreensaver() {
+        if (this.screensaverDue === null) return;
+        if (!this.simulation.settled) {
+            this.screensaverDue = null;
+            return;
+        }
+        if (performance.now() < this.screensaverDue || this.isTurning()) return;
         
-        // Process particles based on gravity direction
-        if (this.gravity > 0) {
-            // Normal gravity - process bottom to top
-            for (let y = GRID_HEIGHT - 1; y >= 0; y--) {
-                for (let x = 0; x < GRID_WIDTH; x++) {
-                    this.updateParticle(x, y, newGrid, clusterMap);
-                }
-            }
+        this.scheduleScreensaver();
+        this.settleInfo.textContent = '';
+        if (this.screensaverAction.value === 'tilt') {
+            this.setTilt(this.tilt > 0 ? -SCREENSAVER_TILT : SCREENSAVER_TILT);
         } else {
-            // Inverted gravity - process top to bottom
-            for (let y = 0; y < GRID_HEIGHT; y++) {
-                for (let x = 0; x < GRID_WIDTH; x++) {
-                    this.updateParticle(x, y, newGrid, clusterMap);
-                }
-            }
+            this.flip();
         }
-        
-        this.grid = newGrid;
     }
     
-    updateParticle(x, y, newGrid, clusterMap) {
-        const particle = this.grid[y][x];
-        
-        if (particle === PARTICLE_TYPES.EMPTY) return;
-        
-        const nextY = y + this.gravity;
-        
-        // Check boundaries
-        if (nextY < 0 || nextY >= GRID_HEIGHT) return;
-        
-        const below = this.grid[nextY][x];
-        const belowDensity = PARTICLE_DENSITY[below];
-        const particleDensity = PARTICLE_DENSITY[particle];
-        
-        // Handle SAND particles with advanced physics
-        if (particle === PARTICLE_TYPES.SAND_HEAVY ||
-            particle === PARTICLE_TYPES.SAND_MEDIUM ||
-            particle === PARTICLE_TYPES.SAND_LIGHT) {
-            
-            const props = this.particleProps.getProperties(x, y);
-            
-            // Sand cannot pass through air bubbles - they are solid barriers
-            if (below === PARTICLE_TYPES.AIR) {
-                // Try to slide laterally off the bubble
-                const lateralMove = this.sandPhysics.tryLateralSlide(this.grid, x, y, props.friction);
-                if (lateralMove) {
-                    newGrid[lateralMove.y][lateralMove.x] = particle;
-                    newGrid[y][x] = PARTICLE_TYPES.EMPTY;
-                    this.particleProps.moveProperties(x, y, lateralMove.x, lateralMove.y);
-                }
-                return;
-            }
-            
-            // If sitting on sand, try to spread out for dune formation
-            if (this.sandPhysics.isSand(below)) {
-                const spreadMove = this.sandPhysics.tryLateralSlide(this.grid, x, y, props.friction * 0.5);
-                if (spreadMove) {
-                    newGrid[spreadMove.y][spreadMove.x] = particle;
-                    newGrid[y][x] = PARTICLE_TYPES.EMPTY;
-                    this.particleProps.moveProperties(x, y, spreadMove.x, spreadMove.y);
-                    return;
-                }
-            }
-            
-            // Try to find best path (multi-directional pathfinding)
-            const move = this.sandPhysics.findBestPath(this.grid, x, y, this.gravity, props);
-            if (move) {
-                const target = this.grid[move.y][move.x];
-                newGrid[move.y][move.x] = particle;
-                newGrid[y][x] = target;
-                this.particleProps.moveProperties(x, y, move.x, move.y);
-                return;
-            }
+    // Open or close a gate now, or after the delay entered next to the gate buttons
+    toggleGate(name) {
+        const delay = Math.max(0, Number(this.gateDelay.value) || 0);
+        if (delay === 0) {
+            this.simulation.toggleGate(name);
+            return;
         }
+        const gate = this.simulation.gates.find(other => other.name === name);
+        const frame = this.simulation.frameCount + Math.round(delay * FRAMES_PER_SECOND);
+        this.simulation.scheduleGate(name, !gate.open, frame);
+    }
+    
+    // Keep the gate buttons in step with the engine's gates
+    showGates() {
+        const gates = this.simulation.gates;
+        const key = gates.map(gate => `${gate.name}:${gate.open}`).join(',');
+        if (key === this.shownGates) return;
+        this.shownGates = key;
         
-        // Handle AIR bubbles with advanced physics
-        else if (particle === PARTICLE_TYPES.AIR) {
-            const cluster = clusterMap[`${x},${y}`];
-            
-            // Apply buoyancy - bubbles rise
-            const buoyancyMove = this.bubblePhysics.applyBuoyancy(this.grid, x, y, this.gravity);
-            if (buoyancyMove) {
-                const target = this.grid[buoyancyMove.y][buoyancyMove.x];
-                newGrid[buoyancyMove.y][buoyancyMove.x] = particle;
-                newGrid[y][x] = target;
-                return;
-            }
-            
-            // Apply spreading force if cluster is too tall
-            const spreadMove = this.bubblePhysics.applySpreadForce(this.grid, cluster, x, y);
-            if (spreadMove) {
-                const target = this.grid[spreadMove.y][spreadMove.x];
-                if (target === PARTICLE_TYPES.EMPTY || PARTICLE_DENSITY[target] > PARTICLE_DENSITY[PARTICLE_TYPES.AIR]) {
-                    newGrid[spreadMove.y][spreadMove.x] = particle;
-                    newGrid[y][x] = target;
-                    return;
-                }
-            }
-            
-            // Bubble attraction - move towards nearby bubbles for clustering
-            const attractionMove = this.bubblePhysics.applyAttraction(this.grid, x, y);
-            if (attractionMove) {
-                const target = this.grid[attractionMove.y][attractionMove.x];
-                if (target === PARTICLE_TYPES.EMPTY || PARTICLE_DENSITY[target] > PARTICLE_DENSITY[PARTICLE_TYPES.AIR]) {
-                    newGrid[attractionMove.y][attractionMove.x] = particle;
-                    newGrid[y][x] = target;
-                    return;
-                }
-            }
-            
-            // Natural rising for bubbles
-            if (belowDensity > particleDensity && below !== PARTICLE_TYPES.AIR) {
-                newGrid[nextY][x] = particle;
-                newGrid[y][x] = below;
-                return;
-            }
+        this.gateControls.hidden = gates.length === 0;
+        this.gateButtons.replaceChildren(...gates.map(gate => {
+            const button = document.createElement('button');
+            button.className = 'small-button';
+            button.textContent = `${gate.open ? 'Close' : 'Open'} ${gate.name}`;
+            button.addEventListener('click', () => this.toggleGate(gate.name));
+            return button;
+        }));
+    }
+    
+    async saveScene() {
+        const sceneContent = JSON.stringify(await this.simulation.toScene());
+        const blob = new Blob([sceneContent], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sand-scene-${Date.now()}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    async loadScene(file) {
+        try {
+            await this.simulation.loadScene(parseScene(await file.text()));
+            this.showParams();
+            this.endTurn();
+            this.showSeed();
+            this.syncTilt();
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            alert(`Could not load scene: ${error.message}`);
         }
+    }
+    
+    // Show the seed in the field and the URL so the run can be shared and replayed
+    showSeed() {
+        this.seedInput.value = this.simulation.seed;
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.simulation.seed);
+        window.history.replaceState(null, '', url);
+    }
+    
+    // Rotate the frame on screen; gravity stays pointing down the screen, so in the
+    // frame's own terms it turns the other way
+    setTilt(degrees) {
+        if (this.isTurning()) return;
+        this.tilt = Math.max(-MAX_TILT, Math.min(MAX_TILT, Math.round(degrees)));
+        this.simulation.setGravityAngle(this.flipped ? 180 - this.tilt : this.tilt);
+        this.showTilt();
+        this.frame.style.transition = 'none';
+        this.setFrameTransform('');
+    }
+    
+    // Recover tilt and flip state from the engine after a restart or scene load
+    syncTilt() {
+        const angle = this.simulation.gravityAngle;
+        this.flipped = Math.abs(angle) > 90;
+        this.tilt = this.flipped ? (angle > 0 ? 180 - angle : -180 - angle) : angle;
+        this.showTilt();
+        this.setFrameTransform('');
+    }
+    
+    showTilt() {
+        this.tiltInput.value = this.tilt;
+        this.tiltValue.textContent = `${this.tilt}°`;
+        this.brush.tilt = this.tilt;
+    }
+    
+    setFrameTransform(flipTransform) {
+        this.frame.style.transform = `rotate(${this.tilt}deg) ${flipTransform}`.trim();
+    }
+    
+    // Angle in degrees of the pointer around the frame's center
+    pointerAngle(e) {
+        const rect = this.frame.getBoundingClientRect();
+        const dx = e.clientX - (rect.left + rect.width / 2);
+        const dy = e.clientY - (rect.top + rect.height / 2);
+        return Math.atan2(dy, dx) * 180 / Math.PI;
+    }
+    
+    // Turn the frame clockwise on screen by `degrees` over `seconds`. The engine sweeps
+    // gravity and remaps the grid at the end; the frame's CSS rotation follows along.
+    async rotate(degrees, seconds) {
+        if (this.turn || this.rotateButton.disabled || !Number.isFinite(degrees) || !(seconds > 0)) return;
         
-        // Handle WATER particles
-        else if (particle === PARTICLE_TYPES.WATER) {
-            // Particle should sink/rise based on density difference
-            const shouldMove = (this.gravity > 0 && particleDensity > belowDensity) ||
-                              (this.gravity < 0 && particleDensity < belowDensity);
-            
-            if (shouldMove) {
-                // Try to move straight down/up
-                if (below === PARTICLE_TYPES.EMPTY || belowDensity < particleDensity) {
-                    newGrid[nextY][x] = particle;
-                    newGrid[y][x] = below;
-                    return;
-                }
-                
-                // Try diagonal movement
-                if (Math.random() > 0.7) {
-                    const direction = Math.random() < 0.5 ? -1 : 1;
-                    const diagX = x + direction;
-                    
-                    if (diagX >= 0 && diagX < GRID_WIDTH) {
-                        const diag = this.grid[nextY][diagX];
-                        const diagDensity = PARTICLE_DENSITY[diag];
-                        
-                        if (diag === PARTICLE_TYPES.EMPTY || diagDensity < particleDensity) {
-                            newGrid[nextY][diagX] = particle;
-                            newGrid[y][x] = PARTICLE_TYPES.EMPTY;
-                            return;
-                        }
-                    }
-                }
-            }
-            
-            // Water spreads horizontally
-            if (Math.random() > 0.5) {
-                const direction = Math.random() < 0.5 ? -1 : 1;
-                const sideX = x + direction;
-                
-                if (sideX >= 0 && sideX < GRID_WIDTH) {
-                    const side = this.grid[y][sideX];
-                    if (side === PARTICLE_TYPES.EMPTY) {
-                        newGrid[y][sideX] = particle;
-                        newGrid[y][x] = PARTICLE_TYPES.EMPTY;
-                    }
-                }
-            }
-        }
+        // On a flipped frame the view is mirrored, so a clockwise turn on screen
+        // runs the other way in the frame's own terms
+        const sign = this.flipped ? -1 : 1;
+        const startTilt = this.tilt;
+        this.rotateButton.disabled = true;
+        await this.simulation.rotate(sign * degrees, seconds * FRAMES_PER_SECOND);
+        
+        // Follow along only once the engine has the turn, which may be a few frames
+        // later when it runs in the worker
+        this.turn = { startTilt, fromAngle: this.simulation.rotation.from, sign };
+        this.frame.style.transition = 'none';
     }
     
-    render() {
-        // Clear canvas
-        this.ctx.fillStyle = PARTICLE_COLORS[PARTICLE_TYPES.EMPTY];
-        this.ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-        
-        // Draw non-bubble particles first
-        for (let y = 0; y < GRID_HEIGHT; y++) {
-            for (let x = 0; x < GRID_WIDTH; x++) {
-                const particle = this.grid[y][x];
-                if (particle !== PARTICLE_TYPES.EMPTY && particle !== PARTICLE_TYPES.AIR) {
-                    this.ctx.fillStyle = PARTICLE_COLORS[particle];
-                    
-                    // Add slight transparency to water for realism
-                    if (particle === PARTICLE_TYPES.WATER) {
-                        this.ctx.globalAlpha = 0.85;
-                    } else {
-                        this.ctx.globalAlpha = 1.0;
-                    }
-                    
-                    // Draw particle
-                    const px = x * PARTICLE_SIZE;
-                    const py = y * PARTICLE_SIZE;
-                    this.ctx.fillRect(px, py, PARTICLE_SIZE, PARTICLE_SIZE);
-                }
-            }
+    // Keep the frame's on-screen rotation in step with the engine's turn
+    followTurn() {
+        const rotation = this.simulation.rotation;
+        if (rotation) {
+            this.tilt = this.turn.startTilt + this.turn.sign * rotation.turned;
+            this.setFrameTransform('');
+            return;
         }
         
-        this.ctx.globalAlpha = 1.0;
-        
-        // Draw bubble clusters with outlines
-        this.renderBubbleClusters();
+        // The turn is over and the grid remapped; whatever the whole turns didn't
+        // cover is left as tilt
+        const remaining = normalizeAngle(this.simulation.gravityAngle - this.turn.fromAngle);
+        this.tilt = normalizeAngle(this.turn.startTilt + this.turn.sign * remaining);
+        this.endTurn();
+        this.showTilt();
+        this.setFrameTransform('');
+    }
+    
+    // A turn lasts from the Rotate click until followTurn sees the engine finish it;
+    // the engine refuses gravity changes all that time
+    isTurning() {
+        return this.turn !== null || this.rotateButton.disabled;
     }
     
-    renderBubbleClusters() {
-        // Find all bubble clusters
-        const clusters = this.bubbleManager.findClusters(this.grid);
+    endTurn() {
+        this.turn = null;
+        this.rotateButton.disabled = false;
+    }
+    
+    flip() {
+        if (this.isTurning()) return;
+        this.simulation.flip();
+        this.flipped = !this.flipped;
         
-        // Draw each cluster with outline
-        for (const cluster of clusters) {
-            // Skip very small clusters (single cells)
-            if (cluster.size() < 2) continue;
-            
-            // Fill the bubble cluster interior
-            this.ctx.fillStyle = PARTICLE_COLORS[PARTICLE_TYPES.AIR];
-            this.ctx.globalAlpha = 0.75;
-            
-            for (const cellKey of cluster.cells) {
-                const [x, y] = cellKey.split(',').map(Number);
-                const px = x * PARTICLE_SIZE;
-                const py = y * PARTICLE_SIZE;
-                this.ctx.fillRect(px, py, PARTICLE_SIZE, PARTICLE_SIZE);
-            }
-            
-            // Draw outline around cluster
-            this.ctx.globalAlpha = 1.0;
-            this.ctx.strokeStyle = '#ffffff';
-            this.ctx.lineWidth = 1.5;
-            
-            // Draw edges of the cluster
-            for (const cellKey of cluster.cells) {
-                const [x, y] = cellKey.split(',').map(Number);
-                const px = x * PARTICLE_SIZE;
-                const py = y * PARTICLE_SIZE;
-                
-                // Check each side and draw border if adjacent to non-bubble
-                // Top
-                if (y === 0 || this.grid[y - 1][x] !== PARTICLE_TYPES.AIR) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(px, py);
-                    this.ctx.lineTo(px + PARTICLE_SIZE, py);
-                    this.ctx.stroke();
-                }
-                // Bottom
-                if (y === GRID_HEIGHT - 1 || this.grid[y + 1][x] !== PARTICLE_TYPES.AIR) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(px, py + PARTICLE_SIZE);
-                    this.ctx.lineTo(px + PARTICLE_SIZE, py + PARTICLE_SIZE);
-                    this.ctx.stroke();
-                }
-                // Left
-                if (x === 0 || this.grid[y][x - 1] !== PARTICLE_TYPES.AIR) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(px, py);
-                    this.ctx.lineTo(px, py + PARTICLE_SIZE);
-                    this.ctx.stroke();
-                }
-                // Right
-                if (x === GRID_WIDTH - 1 || this.grid[y][x + 1] !== PARTICLE_TYPES.AIR) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(px + PARTICLE_SIZE, py);
-                    this.ctx.lineTo(px + PARTICLE_SIZE, py + PARTICLE_SIZE);
-                    this.ctx.stroke();
-                }
-            }
-        }
+        // Create flip animation effect
+        this.setFrameTransform('rotateX(180deg)');
+        setTimeout(() => {
+            this.setFrameTransform('rotateX(0deg)');
+        }, 600);
         
-        this.ctx.globalAlpha = 1.0;
+        this.frame.style.transition = 'transform 0.6s ease-in-out';
     }
     
     animate() {
-        this.update();
-        this.render();
+        this.simulation.tick();
+        if (this.turn) this.followTurn();
+        this.runScreensaver();
+        this.showGates();
+        if (this.framesShown++ % SHARES_INTERVAL === 0) this.showMaterialShares();
+        this.renderer.render();
         requestAnimationFrame(() => this.animate());
     }
 }
 
-// Initialize simulation when page loads
+// Initialize simulation when page loads; pages embedding it drive it from window.sandArt
 window.addEventListener('load', () => {
-    new Simulation();
+    window.sandArt = new SimulationController();
 });